@@ -1,53 +1,262 @@
 require('dotenv').config();
 var express = require('express');
 var path = require('path');
+var fs = require('fs');
 var cookieParser = require('cookie-parser');
 var logger = require('morgan');
-const fs = require('fs');
-const dbJson = require('simple-json-db')
 const scheduledTaskYesterday = require('./func/scheduledTaskYesterday'); // Import the scheduled task
+const {parseDate, parseDateRange, groupByDate, formatChangelogDate} = require('./func/dateRange');
+const catalog = require('./func/catalog');
+const jobs = require('./func/jobs');
+const errorSet = require('./func/errorSet');
+const scheduler = require('./func/scheduler');
+const retention = require('./func/retention');
+const auth = require('./func/auth');
+const notify = require('./func/notify');
+const updateApi = require('./func/updateApi');
+const watchlist = require('./func/watchlist');
+const exporter = require('./func/export');
+const runs = require('./func/runs');
+const metrics = require('./func/metrics');
+const runStatus = require('./func/status');
+const log = require('./func/logger').child({component: 'api'});
+const storage = require('./func/storage');
+const {configure} = require('./func/scraper');
 var app = express();
-app.use(logger('dev'));
+
+function sendReport(res, file) {
+    if (!file || !fs.existsSync(file)) {
+        return res.status(404).json({message: 'No report yet'});
+    }
+    return res.type('text/csv').sendFile(path.resolve(file));
+}
+// Request lines go through the JSON logger like everything else on stdout
+const requestLog = log.child({component: 'http'});
+app.use(logger((tokens, req, res) => JSON.stringify({
+    method: tokens.method(req, res),
+    path: tokens.url(req, res).split('?')[0],
+    status: Number(tokens.status(req, res)) || null,
+    durationMs: Number(tokens['response-time'](req, res)) || null,
+    bytes: Number(tokens.res(req, res, 'content-length')) || 0
+}), {stream: {write: line => requestLog.info('Request', JSON.parse(line))}}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
-function executeAfterAnHour()    {
-    setTimeout(() => {
-        const downloadsDir = path.join(__dirname, 'public', 'downloads');
-        fs.readdir(downloadsDir, (err, files) => {
-            if (err) throw err;
-
-            for (const file of files) {
-                fs.unlink(path.join(downloadsDir, file), err => {
-                    if (err) throw err;
-                });
-            }
-        });
-    }, 3600000); // 3600000 milliseconds = 1 hour
+// Only the dashboard page is open. Archives and run reports are served
+// from their own directories behind their guards, never through a static
+// mount of public/, which other spellings of the path could reach.
+app.get(['/', '/index.html'], (req, res) => {
+    return res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+if (storage.name === 'local') {
+    app.use('/downloads', auth.requireDownloadAccess, express.static(storage.workDir, {index: false}));
 }
-app.use(express.static(path.join(__dirname, 'public')));
-app.use('/refresh', async(req,res) => {
+app.get('/data.csv', auth.requireScope('read'), (req, res) => sendReport(res, configure().dataCsv));
+app.get('/error.csv', auth.requireScope('read'), (req, res) => sendReport(res, configure().errorCsv));
+app.use('/refresh', auth.requireScope('refresh'), async(req,res) => {
     var date = new Date();
-    if(req.query.date){
-        date = new Date(req.query.date);
+    var range;
+    try {
+        if(req.query.date){
+            date = parseDate(req.query.date, 'date');
+        }
+        range = parseDateRange(req.query);
+    } catch (error) {
+        return res.status(400).json({message: error.message});
     }
-    console.log(date);
-    scheduledTaskYesterday(date).then(downloads => {
-
-
-            executeAfterAnHour();
-            return res.status(200).json({
-                message: 'Downloadable Files',
-                files: downloads
-            })
-        }).catch(error => {
-            executeAfterAnHour();
-            return res.status(503).json({message: 'Something is Wrong '});
+    const dates = range || [date];
+    const key = 'refresh:' + dates.map(formatChangelogDate).join(',');
+    const job = jobs.enqueue(key, {dates: dates.map(formatChangelogDate)}, async (onProgress) => {
+        const downloads = await scheduledTaskYesterday(range || date, onProgress, {trigger: 'refresh'});
+        if (range && Array.isArray(downloads)) {
+            return groupByDate(downloads);
+        }
+        return downloads;
+    });
+    return res.status(202).json({
+        message: 'Refresh queued',
+        jobId: job.id,
+        status: job.status,
+        url: '/jobs/' + job.id
+    });
+});
+// Failed rows of the last run, what /retry-errors would retry
+app.get('/errors', auth.requireScope('read'), (req, res) => {
+    return res.json(errorSet.load());
+});
+app.post('/retry-errors', auth.requireScope('refresh'), (req, res) => {
+    const {rows, updatedAt} = errorSet.load();
+    if (!rows.length) {
+        return res.status(200).json({message: 'No failed files to retry', updatedAt});
+    }
+    const job = jobs.enqueue('retry-errors', {rows: rows.length, errorsFrom: updatedAt}, (onProgress) => {
+        return scheduledTaskYesterday(new Date(), onProgress, {entries: rows, trigger: 'retry'});
+    });
+    return res.status(202).json({
+        message: 'Retry queued',
+        jobId: job.id,
+        status: job.status,
+        url: '/jobs/' + job.id
+    });
+});
+app.get('/jobs', auth.requireScope('read'), (req, res) => {
+    return res.json(jobs.listJobs());
+});
+app.get('/jobs/:id', auth.requireScope('read'), (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({message: 'Job not found'});
+    }
+    return res.json(job);
+});
+app.get('/runs', auth.requireScope('read'), (req, res) => {
+    const limit = parseInt(req.query.limit || '50', 10);
+    return res.json(runs.list().slice(0, isNaN(limit) ? 50 : limit));
+});
+app.get('/runs/:id', auth.requireScope('read'), (req, res) => {
+    const run = runs.get(req.params.id);
+    if (!run) {
+        return res.status(404).json({message: 'Run not found'});
+    }
+    return res.json(run);
+});
+app.get('/metrics', auth.requireScope('read'), (req, res) => {
+    res.type('text/plain; version=0.0.4');
+    return res.send(metrics.render());
+});
+// Last run, dates scraped, counts and files; poll with If-None-Match
+app.get(['/status', '/lastUpdate'], auth.requireScope('read'), (req, res) => {
+    const body = runStatus.status();
+    res.set('ETag', runStatus.etag(body));
+    res.set('Cache-Control', 'no-cache');
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    return res.json(body);
+});
+app.get('/schedule', auth.requireScope('read'), (req, res) => {
+    return res.json(scheduler.status());
+});
+app.get('/deliveries', auth.requireScope('read'), (req, res) => {
+    return res.json(notify.deliveries());
+});
+app.get('/storage', auth.requireScope('read'), async (req, res) => {
+    try {
+        return res.json(await retention.status());
+    } catch (e) {
+        log.error('Request failed', {path: req.path, err: e});
+        return res.status(503).json({message: 'Storage is unavailable'});
+    }
+});
+app.get('/plugins', auth.requireScope('read'), (req, res) => {
+    return res.json(catalog.listPlugins(req.query.q));
+});
+app.get('/plugins/:slug', auth.requireScope('read'), (req, res) => {
+    const plugin = catalog.getPlugin(req.params.slug);
+    if (!plugin) {
+        return res.status(404).json({message: 'Plugin not found'});
+    }
+    return res.json(plugin);
+});
+app.get('/plugins/:slug/versions', auth.requireScope('read'), (req, res) => {
+    const plugin = catalog.getPlugin(req.params.slug);
+    if (!plugin) {
+        return res.status(404).json({message: 'Plugin not found'});
+    }
+    return res.json(plugin.versions);
+});
+// Catalog export: ?format=csv|tsv|json|ndjson|rss|atom&from=&to=&columns=slug,version,...
+app.get('/export', auth.requireScope('read'), async (req, res) => {
+    let query;
+    try {
+        query = exporter.parseQuery(req.query);
+    } catch (e) {
+        return res.status(400).json({message: e.message});
+    }
+    try {
+        const rows = await exporter.collect(query);
+        const body = exporter.render(query.format, rows, {
+            columns: query.columns,
+            link: `${req.protocol}://${req.get('host')}${req.originalUrl}`
         });
-
+        const {type, extension} = exporter.formats[query.format];
+        const name = ['plugins', query.from, query.to].filter(Boolean).join('-');
+        res.type(type);
+        if (['csv', 'tsv'].includes(query.format)) {
+            res.attachment(`${name}.${extension}`);
+        }
+        return res.send(body);
+    } catch (e) {
+        log.error('Request failed', {path: req.path, err: e});
+        return res.status(503).json({message: 'Something is Wrong '});
+    }
+});
+// Which products a run downloads; changing it takes the admin scope
+app.get('/watchlist', auth.requireScope('read'), (req, res) => {
+    return res.json({rules: watchlist.rules()});
+});
+app.post('/watchlist', auth.requireScope('admin'), (req, res) => {
+    try {
+        return res.status(201).json(watchlist.addRule(req.body));
+    } catch (e) {
+        return res.status(400).json({message: e.message});
+    }
 });
-app.use('/lastUpdate', async(req,res) => {
-        var db = new dbJson('./files.json');
-        return res.send(db.JSON());
+app.put('/watchlist/:id', auth.requireScope('admin'), (req, res) => {
+    let rule;
+    try {
+        rule = watchlist.updateRule(req.params.id, req.body);
+    } catch (e) {
+        return res.status(400).json({message: e.message});
+    }
+    if (!rule) {
+        return res.status(404).json({message: 'Rule not found'});
+    }
+    return res.json(rule);
+});
+app.delete('/watchlist/:id', auth.requireScope('admin'), (req, res) => {
+    if (!watchlist.removeRule(req.params.id)) {
+        return res.status(404).json({message: 'Rule not found'});
+    }
+    return res.status(204).end();
+});
+// WordPress update API: plugins=<json> as WordPress posts it, or a JSON body
+app.all('/update-check/1.1', auth.requireScope('read'), async (req, res) => {
+    let installed = req.body.plugins || req.query.plugins;
+    try {
+        if (typeof installed === 'string') {
+            installed = JSON.parse(installed);
+        }
+    } catch (e) {
+        return res.status(400).json({message: 'plugins must be JSON'});
+    }
+    if (!installed || typeof installed !== 'object') {
+        return res.status(400).json({message: 'plugins is required'});
+    }
+    try {
+        // WordPress wraps the list: {plugins: {...}, active: [...]}
+        return res.json(await updateApi.checkUpdates(installed.plugins || installed));
+    } catch (e) {
+        log.error('Request failed', {path: req.path, err: e});
+        return res.status(503).json({message: 'Something is Wrong '});
+    }
+});
+app.get('/plugin-info/1.2', auth.requireScope('read'), async (req, res) => {
+    const action = req.query.action || 'plugin_information';
+    const slug = req.query.slug || (req.query.request && req.query.request.slug);
+    if (action !== 'plugin_information' || !slug) {
+        return res.status(400).json({error: 'Only plugin_information with a slug is supported'});
+    }
+    let info;
+    try {
+        info = await updateApi.pluginInfo(slug);
+    } catch (e) {
+        log.error('Request failed', {path: req.path, err: e});
+        return res.status(503).json({message: 'Something is Wrong '});
+    }
+    if (!info) {
+        return res.status(404).json({error: 'Plugin not found.'});
+    }
+    return res.json(info);
 });
 module.exports = app;
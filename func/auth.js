@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger').child({component: 'auth'});
+
+// API_KEYS="name:key:scope+scope,..." e.g. "ci:s3cr3t:read+refresh,viewer:k3y:read"
+// Scopes: read (listings, exports, downloads), refresh (start runs), admin (everything)
+function parseKeys(value = '') {
+    return value.split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => {
+            const [name, key, scopes] = item.split(':');
+            if (!name || !key) {
+                throw new Error(`Invalid API_KEYS entry "${name || item}"`);
+            }
+            return {name, key, scopes: (scopes || 'read').split('+')};
+        });
+}
+
+const accessLog = process.env.ACCESS_LOG || path.join(__dirname, '..', 'logs', 'access.log');
+let settings;
+
+/**
+ * Read the keys and link signing settings from env. Runs once on load;
+ * tests call it again to switch settings.
+ */
+function configure(env = process.env) {
+    settings = {
+        keys: parseKeys(env.API_KEYS),
+        // Without keys nothing protected is served, unless that is asked for
+        disabled: env.AUTH_DISABLED === 'true',
+        signingSecret: env.DOWNLOAD_SIGNING_SECRET,
+        linkExpires: parseInt(env.DOWNLOAD_LINK_EXPIRES || '3600', 10)
+    };
+    if (!settings.keys.length && settings.disabled) {
+        log.warn('AUTH_DISABLED=true, all endpoints are open');
+    } else if (!settings.keys.length) {
+        log.warn('API_KEYS not set, protected endpoints answer 503 until keys are configured or AUTH_DISABLED=true');
+    }
+    return settings;
+}
+
+function notConfigured(res) {
+    return res.status(503).json({message: 'API_KEYS is not configured; set it, or AUTH_DISABLED=true to run without keys'});
+}
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function findKey(token) {
+    if (!token) {
+        return null;
+    }
+    const hashed = digest(token);
+    return settings.keys.find(entry => crypto.timingSafeEqual(digest(entry.key), hashed)) || null;
+}
+
+function tokenFrom(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : req.get('x-api-key');
+}
+
+function hasScope(entry, scope) {
+    return entry.scopes.includes(scope) || entry.scopes.includes('admin');
+}
+
+function logAccess(req, res, who) {
+    res.on('finish', () => {
+        const line = JSON.stringify({
+            time: new Date().toISOString(),
+            key: who,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            ip: req.ip
+        });
+        fs.mkdir(path.dirname(accessLog), {recursive: true}, () => {
+            fs.appendFile(accessLog, line + '\n', (err) => {
+                if (err) {
+                    log.error('Failed to write access log', {path: accessLog, err: err.message});
+                }
+            });
+        });
+    });
+}
+
+function sign(key, expires) {
+    return crypto.createHmac('sha256', settings.signingSecret).update(`${key}:${expires}`).digest('hex');
+}
+
+/**
+ * Query string granting access to one download until it expires, or ''
+ * when link signing is not configured.
+ */
+function signedQuery(key, expiresIn = settings.linkExpires) {
+    if (!settings.signingSecret) {
+        return '';
+    }
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `expires=${expires}&signature=${sign(key, expires)}`;
+}
+
+function validSignature(key, query) {
+    if (!settings.signingSecret || !query.signature || !query.expires) {
+        return false;
+    }
+    if (parseInt(query.expires, 10) < Date.now() / 1000) {
+        return false;
+    }
+    const expected = Buffer.from(sign(key, query.expires));
+    const given = Buffer.from(String(query.signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!settings.keys.length) {
+            return settings.disabled ? next() : notConfigured(res);
+        }
+        const entry = findKey(tokenFrom(req));
+        logAccess(req, res, entry ? entry.name : null);
+        if (!entry) {
+            return res.status(401).json({message: 'API key required'});
+        }
+        if (!hasScope(entry, scope)) {
+            return res.status(403).json({message: `API key lacks the ${scope} scope`});
+        }
+        req.apiKey = entry.name;
+        return next();
+    };
+}
+
+// Downloads accept a signed link in place of an API key
+function requireDownloadAccess(req, res, next) {
+    if (validSignature(path.basename(req.path), req.query)) {
+        logAccess(req, res, 'signed-link');
+        return next();
+    }
+    if (!settings.keys.length && settings.disabled) {
+        return next();
+    }
+    if (!settings.keys.length && settings.signingSecret) {
+        return res.status(403).json({message: 'Invalid or expired download link'});
+    }
+    return requireScope('read')(req, res, next);
+}
+
+configure();
+
+module.exports = {
+    configure,
+    requireScope,
+    requireDownloadAccess,
+    signedQuery,
+    parseKeys
+};
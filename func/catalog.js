@@ -0,0 +1,210 @@
+const JSONdb = require('simple-json-db');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const storage = require('./storage');
+const {compareVersions} = require('./parseEntry');
+const logger = require('./logger');
+
+const catalogPath = process.env.CATALOG_PATH || path.join(__dirname, 'catalog.json');
+
+function open() {
+    const dirname = path.dirname(catalogPath);
+    if (!fs.existsSync(dirname)) {
+        fs.mkdirSync(dirname, {recursive: true});
+    }
+    return new JSONdb(catalogPath);
+}
+
+function checksum(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// Catalog key: the slug the scraper parsed, falling back to the product id.
+// A second product with a slug that is already taken by another product id
+// is kept apart under "<slug>:<productId>".
+function keyFor(db, entry) {
+    const slug = entry.slug || (entry.productId ? `product-${entry.productId}` : null);
+    if (!slug || !entry.productId) {
+        return slug;
+    }
+    const plugin = db.get(slug);
+    if (!plugin || !plugin.productId || plugin.productId === entry.productId) {
+        return slug;
+    }
+    return `${slug}:${entry.productId}`;
+}
+
+// Catalog record for an entry, matched on product id when both have one
+function findPlugin(entry) {
+    const db = open();
+    const key = keyFor(db, entry);
+    return key ? db.get(key) || null : null;
+}
+
+/**
+ * Record a downloaded changelog entry as a version of its plugin. Earlier
+ * versions are kept; seeing the same version again just refreshes it.
+ */
+async function recordDownload(entry) {
+    const db = open();
+    const key = keyFor(db, entry);
+    if (!key) {
+        return null;
+    }
+    // Remote storage drivers don't keep the file locally, so the task
+    // measures it before upload
+    let size = entry.size !== undefined ? entry.size : null;
+    let sum = entry.checksum || null;
+    if (!sum && entry.filePath && fs.existsSync(entry.filePath)) {
+        size = fs.statSync(entry.filePath).size;
+        sum = await checksum(entry.filePath);
+    }
+
+    const plugin = db.get(key) || {slug: entry.slug || key, versions: []};
+    plugin.productId = entry.productId || plugin.productId || null;
+    plugin.name = entry.name || entry.productName || plugin.name;
+    plugin.productURL = entry.productURL || plugin.productURL;
+    // Main plugin file inside the ZIP ("foo/foo.php"), what WordPress knows the plugin by
+    plugin.pluginFile = entry.pluginFile || plugin.pluginFile || null;
+
+    const existing = plugin.versions.findIndex(v => v.version === (entry.version || ''));
+    const version = {
+        version: entry.version || '',
+        date: entry.date,
+        filename: entry.filename,
+        filePath: entry.filePath,
+        fileUrl: entry.fileUrl,
+        size,
+        checksum: sum,
+        // What changed in this version, from the product page; kept if a later fetch failed
+        releaseNotes: entry.releaseNotes || (existing !== -1 && plugin.versions[existing].releaseNotes) || '',
+        sourceId: entry.id,
+        recordedAt: new Date().toISOString()
+    };
+    if (existing === -1) {
+        plugin.versions.push(version);
+    } else {
+        plugin.versions[existing] = version;
+    }
+    // Runs record rows newest first, and may record an older version later
+    plugin.latestVersion = plugin.versions
+        .map(v => v.version)
+        .reduce((latest, v) => (latest === null || compareVersions(v, latest) > 0 ? v : latest), null);
+    plugin.updatedAt = version.recordedAt;
+
+    db.set(key, plugin);
+    return plugin;
+}
+
+async function recordDownloads(entries, log = logger) {
+    for (const entry of entries) {
+        try {
+            await recordDownload(entry);
+        } catch (e) {
+            log.error('Failed to record in catalog', {slug: entry.slug, version: entry.version, err: e});
+        }
+    }
+}
+
+/**
+ * Stored version for this entry's product and version whose file is still in
+ * storage, or null when it has to be downloaded.
+ */
+async function findDownloaded(entry) {
+    if (!entry.version) {
+        return null;
+    }
+    const plugin = findPlugin(entry);
+    if (!plugin) {
+        return null;
+    }
+    const version = plugin.versions.find(v => v.version === entry.version);
+    if (!version || !version.filename || !await storage.exists(version.filename)) {
+        return null;
+    }
+    return version;
+}
+
+/**
+ * Forget the files of versions whose archive is no longer in storage. The
+ * versions stay in the catalog, marked with removedAt, so nothing advertises
+ * a download that would 404. Returns how many versions were changed.
+ */
+function markRemoved(filenames) {
+    const gone = new Set(filenames);
+    if (!gone.size) {
+        return 0;
+    }
+    const db = open();
+    const removedAt = new Date().toISOString();
+    let count = 0;
+    for (const [key, plugin] of Object.entries(db.JSON())) {
+        const versions = plugin.versions.filter(v => v.filename && gone.has(v.filename));
+        for (const version of versions) {
+            Object.assign(version, {filename: '', filePath: '', fileUrl: '', removedAt});
+        }
+        if (versions.length) {
+            db.set(key, plugin);
+            count += versions.length;
+        }
+    }
+    return count;
+}
+
+// Plugin that a stored filename belongs to, or null
+function filenameOwner(filename) {
+    const plugin = allPlugins().find(p => p.versions.some(v => v.filename === filename));
+    return plugin ? {slug: plugin.slug, productId: plugin.productId} : null;
+}
+
+function summary(plugin) {
+    return {
+        slug: plugin.slug,
+        productId: plugin.productId,
+        name: plugin.name,
+        productURL: plugin.productURL,
+        latestVersion: plugin.latestVersion,
+        updatedAt: plugin.updatedAt,
+        versionCount: plugin.versions.length
+    };
+}
+
+function listPlugins(search) {
+    const plugins = allPlugins();
+    const q = search ? search.toLowerCase() : null;
+    return plugins
+        .filter(plugin => !q || plugin.slug.toLowerCase().includes(q) || (plugin.name || '').toLowerCase().includes(q))
+        .map(summary);
+}
+
+function allPlugins() {
+    return Object.values(open().JSON());
+}
+
+function getPlugin(slugOrProductId) {
+    const db = open();
+    if (db.has(slugOrProductId)) {
+        return db.get(slugOrProductId);
+    }
+    return Object.values(db.JSON()).find(plugin => plugin.productId === slugOrProductId) || null;
+}
+
+module.exports = {
+    recordDownload,
+    recordDownloads,
+    findDownloaded,
+    findPlugin,
+    markRemoved,
+    filenameOwner,
+    listPlugins,
+    allPlugins,
+    getPlugin,
+    checksum
+};
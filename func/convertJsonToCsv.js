@@ -1,22 +1,24 @@
 const fs = require('fs');
 const { Parser } = require('json2csv');
 
-function convertJsonToCsv(jsonData, outputPath, callback) {
+const defaultFields = [
+    'id',
+    'productName',
+    'date',
+    'downloadLink',
+    'productURL',
+    'version',
+    'name',
+    'slug',
+    'filename',
+    'filePath',
+    'productId',
+    'fileUrl',
+    'releaseNotes'
+];
+
+function convertJsonToCsv(jsonData, outputPath, callback, fields = defaultFields) {
     try {
-        const fields = [
-            'id',
-            'productName',
-            'date',
-            'downloadLink',
-            'productURL',
-            'version',
-            'name',
-            'slug',
-            'filename',
-            'filePath',
-            'productId',
-            'fileUrl'
-        ];
         const parser = new Parser({ fields });
         const csv = parser.parse(jsonData);
         fs.writeFile(outputPath, csv, (err) => {
@@ -32,3 +34,4 @@ function convertJsonToCsv(jsonData, outputPath, callback) {
 }
 
 module.exports = convertJsonToCsv;
+module.exports.defaultFields = defaultFields;
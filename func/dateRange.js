@@ -0,0 +1,82 @@
+const MAX_DAYS = parseInt(process.env.MAX_RANGE_DAYS || '31', 10);
+
+// Same format the changelog uses in .awcpt-date, e.g. "June 1, 2024"
+function formatChangelogDate(date) {
+    return new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+    });
+}
+
+/**
+ * A query date as local midnight. "YYYY-MM-DD" is read as that day here,
+ * not as UTC midnight the way new Date() reads it, which is the day before
+ * anywhere west of UTC.
+ */
+function parseDate(value, name) {
+    const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(value);
+    if (isNaN(date.getTime()) || (day && date.getDate() !== Number(day[3]))) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return startOfDay(date);
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Turn the /refresh query (?date=, ?from=&to= or ?days=N) into the list of
+ * days to scrape, oldest first. Returns null when no range was requested.
+ */
+function parseDateRange(query = {}) {
+    if (!query.from && !query.to && !query.days) {
+        return null;
+    }
+    const to = query.to ? parseDate(query.to, 'to') : startOfDay(new Date());
+    let from;
+    if (query.from) {
+        from = parseDate(query.from, 'from');
+    } else if (query.days) {
+        const days = parseInt(query.days, 10);
+        if (isNaN(days) || days < 1) {
+            throw new Error(`Invalid days: ${query.days}`);
+        }
+        from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - (days - 1));
+    } else {
+        from = new Date(to.getTime());
+    }
+    if (from > to) {
+        throw new Error('from must not be after to');
+    }
+
+    const dates = [];
+    // Step by calendar day; a fixed 24 hours drifts across DST changes
+    for (let d = new Date(from.getTime()); d <= to; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+        dates.push(d);
+        if (dates.length > MAX_DAYS) {
+            throw new Error(`Date range is limited to ${MAX_DAYS} days`);
+        }
+    }
+    return dates;
+}
+
+function groupByDate(entries) {
+    const grouped = {};
+    for (const entry of entries) {
+        if (!grouped[entry.date]) {
+            grouped[entry.date] = [];
+        }
+        grouped[entry.date].push(entry);
+    }
+    return grouped;
+}
+
+module.exports = {
+    formatChangelogDate,
+    parseDate,
+    parseDateRange,
+    groupByDate
+};
@@ -0,0 +1,92 @@
+const axios = require('axios');
+const fs = require('fs');
+const stream = require('stream');
+const {promisify} = require('util');
+const pipeline = promisify(stream.pipeline);
+const logger = require('./logger');
+
+const RETRIES = parseInt(process.env.DOWNLOAD_RETRIES || '3', 10);
+const BACKOFF_MS = parseInt(process.env.DOWNLOAD_BACKOFF_MS || '1000', 10);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function partialSize(partPath) {
+    try {
+        return fs.statSync(partPath).size;
+    } catch (e) {
+        return 0;
+    }
+}
+
+// First byte of a "bytes 100-199/200" Content-Range, or null
+function resumeStart(contentRange) {
+    const match = /^bytes (\d+)-\d+\/(?:\d+|\*)$/.exec(String(contentRange || '').trim());
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Download url to filePath, retrying with exponential backoff. Data goes to
+ * <filePath>.part first; when a retry finds a partial file it asks for the
+ * rest with a Range header and appends if the server answers 206 from that
+ * offset. A 200 starts the file over, a 416 or a 206 from elsewhere drops
+ * the partial file for the next attempt.
+ */
+async function downloadFile(url, filePath, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : RETRIES;
+    const backoff = options.backoff !== undefined ? options.backoff : BACKOFF_MS;
+    const log = options.log || logger;
+    const partPath = filePath + '.part';
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            const delay = backoff * Math.pow(2, attempt - 1);
+            log.warn('Retrying download', {url, delay, attempt: attempt + 1, of: retries + 1});
+            await sleep(delay);
+        }
+        const offset = partialSize(partPath);
+        const headers = Object.assign({}, options.headers);
+        if (offset > 0) {
+            headers.Range = `bytes=${offset}-`;
+        }
+        try {
+            const response = await axios({
+                url,
+                method: 'GET',
+                responseType: 'stream',
+                headers
+            });
+            const resumed = offset > 0 && response.status === 206;
+            if (resumed) {
+                // Appending is only safe when the server starts where the file ends
+                const start = resumeStart(response.headers['content-range']);
+                if (start !== offset) {
+                    response.data.destroy();
+                    fs.rmSync(partPath, {force: true});
+                    throw new Error(`Server resumed at byte ${start} instead of ${offset}`);
+                }
+                log.info('Resuming download', {url, offset});
+            }
+            await pipeline(response.data, fs.createWriteStream(partPath, {flags: resumed ? 'a' : 'w'}));
+            fs.renameSync(partPath, filePath);
+            return {
+                response,
+                attempts: attempt + 1,
+                resumed
+            };
+        } catch (e) {
+            lastError = e;
+            const status = e.response && e.response.status;
+            // Range no longer valid for this file, start over
+            if (status === 416) {
+                fs.rmSync(partPath, {force: true});
+            } else if (status && status < 500 && status !== 429) {
+                break;
+            }
+        }
+    }
+    // The .part file is kept so a later retry can resume it
+    throw lastError;
+}
+
+module.exports = downloadFile;
@@ -0,0 +1,22 @@
+const JSONdb = require('simple-json-db');
+const path = require('path');
+
+// Rows that failed in the last run, the same set written to public/error.csv
+const db = new JSONdb(process.env.ERRORS_PATH || path.join(__dirname, 'errors.json'));
+
+function save(rows) {
+    db.set('rows', rows);
+    db.set('updatedAt', new Date().toISOString());
+}
+
+function load() {
+    return {
+        rows: db.get('rows') || [],
+        updatedAt: db.get('updatedAt') || null
+    };
+}
+
+module.exports = {
+    save,
+    load
+};
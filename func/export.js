@@ -0,0 +1,241 @@
+const { Parser } = require('json2csv');
+const catalog = require('./catalog');
+const storage = require('./storage');
+
+// Exports are built from the catalog, so any date range that was ever
+// scraped can be exported, not only the last run's data.csv.
+
+const columns = [
+    'slug',
+    'productId',
+    'name',
+    'version',
+    'date',
+    'status',
+    'filename',
+    'fileUrl',
+    'size',
+    'checksum',
+    'productURL',
+    'pluginFile',
+    'sourceId',
+    'recordedAt',
+    'removedAt',
+    'releaseNotes'
+];
+
+const formats = {
+    csv: {type: 'text/csv', extension: 'csv'},
+    tsv: {type: 'text/tab-separated-values', extension: 'tsv'},
+    json: {type: 'application/json', extension: 'json'},
+    ndjson: {type: 'application/x-ndjson', extension: 'ndjson'},
+    rss: {type: 'application/rss+xml', extension: 'xml'},
+    atom: {type: 'application/atom+xml', extension: 'xml'}
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "YYYY-MM-DD" in local time, which is how changelog dates are read
+function dayKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDay(value, name) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return value;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return dayKey(date);
+}
+
+function rowDay(version) {
+    const date = new Date(version.date || version.recordedAt);
+    return isNaN(date.getTime()) ? null : dayKey(date);
+}
+
+/**
+ * Check the /export query (?format=&from=&to=&columns=) and turn it into
+ * {format, from, to, columns}. Throws on anything it can't use.
+ */
+function parseQuery(query = {}) {
+    const format = query.format || 'csv';
+    if (!formats[format]) {
+        throw new Error(`Unknown format ${format}. Available: ${Object.keys(formats).join(', ')}`);
+    }
+    const from = query.from ? parseDay(query.from, 'from') : null;
+    const to = query.to ? parseDay(query.to, 'to') : null;
+    if (from && to && from > to) {
+        throw new Error('from must not be after to');
+    }
+    return {format, from, to, columns: pickColumns(query.columns)};
+}
+
+/**
+ * One row per stored plugin version, newest first, limited to changelog
+ * dates between from and to (both inclusive, either may be left out).
+ */
+async function collect({from, to} = {}) {
+    const first = from ? parseDay(from, 'from') : null;
+    const last = to ? parseDay(to, 'to') : null;
+    const rows = [];
+    for (const plugin of catalog.allPlugins()) {
+        for (const version of plugin.versions) {
+            const day = rowDay(version);
+            if ((first && (!day || day < first)) || (last && (!day || day > last))) {
+                continue;
+            }
+            rows.push({
+                slug: plugin.slug,
+                productId: plugin.productId,
+                name: plugin.name,
+                version: version.version,
+                date: version.date,
+                // Versions left out by the watchlist, or whose file retention
+                // removed, are kept without a file
+                status: version.filename ? 'downloaded' : (version.removedAt ? 'removed' : 'skipped'),
+                filename: version.filename || '',
+                fileUrl: version.filename ? await storage.url(version.filename) : '',
+                size: version.size,
+                checksum: version.checksum,
+                productURL: plugin.productURL || '',
+                pluginFile: plugin.pluginFile,
+                sourceId: version.sourceId,
+                recordedAt: version.recordedAt,
+                removedAt: version.removedAt || '',
+                releaseNotes: version.releaseNotes || '',
+                day
+            });
+        }
+    }
+    return rows
+        .sort((a, b) => (b.day || '').localeCompare(a.day || '') || (b.recordedAt || '').localeCompare(a.recordedAt || ''))
+        .map(({day, ...row}) => row);
+}
+
+function pickColumns(selected) {
+    if (!selected) {
+        return columns;
+    }
+    const list = (Array.isArray(selected) ? selected : String(selected).split(','))
+        .map(column => column.trim())
+        .filter(Boolean);
+    const unknown = list.filter(column => !columns.includes(column));
+    if (unknown.length) {
+        throw new Error(`Unknown columns: ${unknown.join(', ')}. Available: ${columns.join(', ')}`);
+    }
+    return list.length ? list : columns;
+}
+
+function toTsv(rows, fields) {
+    // No quoting in TSV, so tabs and line breaks inside values become spaces
+    const cell = (value) => (value === undefined || value === null ? '' : String(value)).replace(/[\t\r\n]+/g, ' ');
+    return [fields.join('\t'), ...rows.map(row => fields.map(field => cell(row[field])).join('\t'))].join('\n') + '\n';
+}
+
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function feedItem(row) {
+    const published = new Date(row.date || row.recordedAt);
+    return {
+        id: `urn:wp-updates:${row.slug}:${row.version}`,
+        title: `${row.name || row.slug} ${row.version}`.trim(),
+        link: row.fileUrl || row.productURL || '',
+        summary: row.status === 'downloaded'
+            ? `${row.name} ${row.version} is available`
+            : `${row.name} ${row.version} was released (not downloaded)`,
+        published: isNaN(published.getTime()) ? new Date() : published
+    };
+}
+
+function toRss(rows, options) {
+    const items = rows.map(feedItem).map(item => [
+        '    <item>',
+        `      <title>${escapeXml(item.title)}</title>`,
+        item.link ? `      <link>${escapeXml(item.link)}</link>` : null,
+        `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+        `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+        `      <description>${escapeXml(item.summary)}</description>`,
+        '    </item>'
+    ].filter(Boolean).join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0">',
+        '  <channel>',
+        `    <title>${escapeXml(options.title)}</title>`,
+        `    <link>${escapeXml(options.link)}</link>`,
+        `    <description>${escapeXml(options.title)}</description>`,
+        `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+        ...items,
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+function toAtom(rows, options) {
+    const items = rows.map(feedItem);
+    const updated = items.length ? items[0].published : new Date();
+    const entries = items.map(item => [
+        '  <entry>',
+        `    <id>${escapeXml(item.id)}</id>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        item.link ? `    <link href="${escapeXml(item.link)}"/>` : null,
+        `    <updated>${item.published.toISOString()}</updated>`,
+        `    <summary>${escapeXml(item.summary)}</summary>`,
+        '  </entry>'
+    ].filter(Boolean).join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(options.link)}</id>`,
+        `  <title>${escapeXml(options.title)}</title>`,
+        `  <link rel="self" href="${escapeXml(options.link)}"/>`,
+        `  <updated>${updated.toISOString()}</updated>`,
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Render rows in one of the formats above. options.columns selects and
+ * orders the CSV/TSV columns; feeds use options.title and options.link.
+ */
+function render(format, rows, options = {}) {
+    const fields = pickColumns(options.columns);
+    const feed = Object.assign({title: 'Plugin updates', link: ''}, options);
+    switch (format) {
+        case 'csv':
+            return new Parser({ fields }).parse(rows) + '\n';
+        case 'tsv':
+            return toTsv(rows, fields);
+        case 'json':
+            return JSON.stringify(rows, null, 2);
+        case 'ndjson':
+            return rows.map(row => JSON.stringify(row) + '\n').join('');
+        case 'rss':
+            return toRss(rows, feed);
+        case 'atom':
+            return toAtom(rows, feed);
+        default:
+            throw new Error(`Unknown format ${format}. Available: ${Object.keys(formats).join(', ')}`);
+    }
+}
+
+module.exports = {
+    columns,
+    formats,
+    parseQuery,
+    collect,
+    render
+};
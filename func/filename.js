@@ -0,0 +1,67 @@
+const catalog = require('./catalog');
+const logger = require('./logger');
+
+const MAX_LENGTH = 120;
+
+function sanitize(part) {
+    return String(part || '')
+        .replace(/[^A-Za-z0-9._-]+/g, '-')
+        .replace(/\.{2,}/g, '.')
+        .replace(/-{2,}/g, '-')
+        .replace(/^[-.]+|[-.]+$/g, '');
+}
+
+// "download-foo" and "foo-download" are both just "foo"
+function baseName(entry) {
+    const slug = sanitize(String(entry.slug || '').replace(/^download-/, '').replace(/-download$/, ''));
+    return slug || sanitize(entry.productId ? `product-${entry.productId}` : `row-${entry.id}`) || 'download';
+}
+
+/**
+ * Archive filename for an entry: <slug>-<version>.zip, with the product id
+ * (or row id) appended as extra when that name is taken. Long slugs are cut
+ * so that the version and extra always survive, otherwise two names that
+ * only differ in extra would come out the same.
+ */
+function filenameFor(entry, extra) {
+    const tail = [entry.version && sanitize(entry.version), extra && sanitize(extra)].filter(Boolean);
+    const room = Math.max(1, MAX_LENGTH - tail.reduce((length, part) => length + part.length + 1, 0));
+    const base = baseName(entry).slice(0, room).replace(/[-.]+$/, '') || 'download';
+    return [base, ...tail].join('-') + '.zip';
+}
+
+/**
+ * Hands out filenames for one run. A name is taken when another download in
+ * the run uses it, or when the catalog has it for a different product.
+ */
+function createFilenamer(log = logger) {
+    const used = {};
+
+    const taken = (filename, entry) => {
+        if (used[filename] && used[filename] !== entry.downloadLink) {
+            return true;
+        }
+        const owner = catalog.filenameOwner(filename);
+        return !!owner && !!entry.productId && !!owner.productId && owner.productId !== entry.productId;
+    };
+
+    return function assign(entry) {
+        let filename = filenameFor(entry);
+        if (taken(filename, entry)) {
+            const suffix = entry.productId || entry.id;
+            filename = filenameFor(entry, suffix);
+            for (let n = 2; taken(filename, entry); n++) {
+                filename = filenameFor(entry, `${suffix}-${n}`);
+            }
+            log.info('Filename collision', {productName: entry.productName, filename});
+        }
+        used[filename] = entry.downloadLink;
+        return filename;
+    };
+}
+
+module.exports = {
+    sanitize,
+    filenameFor,
+    createFilenamer
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const runLock = require('./runLock');
+
+const MAX_FINISHED = parseInt(process.env.MAX_FINISHED_JOBS || '50', 10);
+const LOCK_RETRY_MS = 5000;
+
+const jobs = new Map();
+// Task functions and completion promises, kept out of the JSON job records
+const tasks = new Map();
+const queue = [];
+let working = false;
+
+function fileProgress(entry, status) {
+    return {
+        id: entry.id,
+        productName: entry.productName,
+        slug: entry.slug,
+        version: entry.version,
+        filename: entry.filename || '',
+        status
+    };
+}
+
+// Apply an onProgress event from the scrape task to the job record
+function track(job, event) {
+    job.phase = event.phase;
+    if (event.runId) {
+        job.runId = event.runId;
+    }
+    if (event.stats) {
+        job.scrape = event.stats;
+    }
+    if (event.phase !== 'download') {
+        return;
+    }
+    job.progress = {current: event.current, total: event.total};
+    if (event.entries) {
+        job.files = event.entries.map(entry => fileProgress(entry, 'pending'));
+    }
+    if (event.entry) {
+        job.files[event.index] = fileProgress(event.entry, event.status);
+    }
+}
+
+function prune() {
+    const finished = [...jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(finished.length - MAX_FINISHED, 0))) {
+        jobs.delete(job.id);
+    }
+}
+
+async function work() {
+    if (working) {
+        return;
+    }
+    working = true;
+    while (queue.length) {
+        // The scheduler may be holding the browser; wait for it
+        if (runLock.isRunning()) {
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+            continue;
+        }
+        const job = queue.shift();
+        const {task, resolve} = tasks.get(job.id);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        try {
+            const result = await runLock.runExclusive('job:' + job.id, () => task(event => track(job, event)));
+            if (result instanceof Error) {
+                throw result;
+            }
+            job.status = 'completed';
+            job.result = result;
+        } catch (e) {
+            job.status = 'failed';
+            job.error = e.message;
+        }
+        job.phase = 'done';
+        job.finishedAt = new Date().toISOString();
+        tasks.delete(job.id);
+        resolve(job);
+        prune();
+    }
+    working = false;
+}
+
+/**
+ * Queue task under key. If a job with the same key is already queued or
+ * running, that job is returned instead of starting another one.
+ */
+function enqueue(key, params, task) {
+    for (const job of jobs.values()) {
+        if (job.key === key && !job.finishedAt) {
+            return job;
+        }
+    }
+    const job = {
+        id: crypto.randomUUID(),
+        key,
+        params,
+        status: 'queued',
+        phase: 'queued',
+        progress: {current: 0, total: 0},
+        files: [],
+        scrape: null,
+        result: null,
+        error: null,
+        // Run history record, see /runs/:id
+        runId: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+    const done = new Promise(resolve => {
+        tasks.set(job.id, {task, resolve, done: null});
+    });
+    tasks.get(job.id).done = done;
+    jobs.set(job.id, job);
+    queue.push(job);
+    work();
+    return job;
+}
+
+// Resolves with the job once it has finished
+function waitFor(id) {
+    const pending = tasks.get(id);
+    return pending ? pending.done : Promise.resolve(getJob(id));
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function listJobs() {
+    return [...jobs.values()];
+}
+
+module.exports = {
+    enqueue,
+    getJob,
+    waitFor,
+    listJobs
+};
@@ -0,0 +1,49 @@
+// JSON lines on stdout, one object per message:
+// {"time":"...","level":"info","msg":"Download Successful","runId":"...","slug":"foo"}
+// LOG_LEVEL=debug|info|warn|error picks the least severe level written.
+
+const LEVELS = {debug: 10, info: 20, warn: 30, error: 40};
+
+function serialize(value) {
+    if (value instanceof Error) {
+        return {message: value.message, name: value.name, stack: value.stack};
+    }
+    return value;
+}
+
+/**
+ * Logger whose lines all carry fields. child() adds more, e.g. the run id,
+ * without touching the parent. write is where finished lines go.
+ */
+function createLogger(fields = {}, options = {}) {
+    const wanted = options.level || process.env.LOG_LEVEL;
+    const levelName = LEVELS[wanted] ? wanted : 'info';
+    const level = LEVELS[levelName];
+    const write = options.write || (line => process.stdout.write(line + '\n'));
+
+    const log = (name) => (msg, extra = {}) => {
+        if (LEVELS[name] < level) {
+            return;
+        }
+        if (extra instanceof Error) {
+            extra = {err: extra};
+        }
+        const line = Object.assign({time: new Date().toISOString(), level: name, msg}, fields);
+        for (const [key, value] of Object.entries(extra)) {
+            line[key] = serialize(value);
+        }
+        write(JSON.stringify(line));
+    };
+
+    return {
+        fields,
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: (more) => createLogger(Object.assign({}, fields, more), {level: levelName, write})
+    };
+}
+
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
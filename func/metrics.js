@@ -0,0 +1,64 @@
+const runs = require('./runs');
+const runLock = require('./runLock');
+const jobs = require('./jobs');
+const catalog = require('./catalog');
+
+// Prometheus text exposition format, see
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+
+function metric(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const [labels, value] of samples) {
+        const text = Object.entries(labels).map(([key, v]) => `${key}="${String(v).replace(/["\\\n]/g, '\\$&')}"`).join(',');
+        lines.push(`${name}${text ? `{${text}}` : ''} ${value}`);
+    }
+    return lines.join('\n');
+}
+
+const seconds = (iso) => (Date.parse(iso) / 1000).toFixed(3);
+
+function render() {
+    const totals = runs.totals();
+    const history = runs.list();
+    const last = history.find(run => run.finishedAt);
+    const lastSuccess = history.find(run => run.status === 'success');
+    const queued = jobs.listJobs().filter(job => job.status === 'queued').length;
+
+    const blocks = [
+        metric('wp_updates_runs_total', 'counter', 'Finished scraper runs by outcome.',
+            Object.entries(totals.runs).map(([status, value]) => [{status}, value])),
+        metric('wp_updates_rows_total', 'counter', 'Changelog rows handled by scraper runs, by result.',
+            Object.entries(totals.rows).map(([result, value]) => [{result}, value])),
+        metric('wp_updates_downloaded_bytes_total', 'counter', 'Bytes of plugin archives downloaded.',
+            [[{}, totals.bytes]]),
+        metric('wp_updates_run_in_progress', 'gauge', 'Whether a scraper run holds the lock.',
+            [[{}, runLock.isRunning() ? 1 : 0]]),
+        metric('wp_updates_jobs_queued', 'gauge', 'Jobs waiting for the scraper.',
+            [[{}, queued]]),
+        metric('wp_updates_catalog_plugins', 'gauge', 'Plugins in the catalog.',
+            [[{}, catalog.allPlugins().length]])
+    ];
+    if (last) {
+        blocks.push(
+            metric('wp_updates_last_run_timestamp_seconds', 'gauge', 'When the last finished run ended.',
+                [[{status: last.status}, seconds(last.finishedAt)]]),
+            metric('wp_updates_last_run_duration_seconds', 'gauge', 'How long the last finished run took.',
+                [[{}, (last.durationMs / 1000).toFixed(3)]]),
+            metric('wp_updates_last_run_phase_duration_seconds', 'gauge', 'Phase timings of the last finished run.',
+                Object.entries(last.phases)
+                    .filter(([, phase]) => phase.durationMs !== null)
+                    .map(([phase, timing]) => [{phase}, (timing.durationMs / 1000).toFixed(3)])),
+            metric('wp_updates_last_run_rows', 'gauge', 'Rows of the last finished run, by result.',
+                Object.entries(last.rows).map(([result, value]) => [{result}, value]))
+        );
+    }
+    if (lastSuccess) {
+        blocks.push(metric('wp_updates_last_success_timestamp_seconds', 'gauge', 'When the last successful run ended.',
+            [[{}, seconds(lastSuccess.finishedAt)]]));
+    }
+    return blocks.join('\n') + '\n';
+}
+
+module.exports = {
+    render
+};
@@ -0,0 +1,176 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const JSONdb = require('simple-json-db');
+const path = require('path');
+const catalog = require('./catalog');
+const logger = require('./logger').child({component: 'notify'});
+const {compareVersions} = require('./parseEntry');
+
+const MAX_LOG = 200;
+const log = new JSONdb(process.env.DELIVERIES_PATH || path.join(__dirname, 'deliveries.json'));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function config(env = process.env) {
+    return {
+        // WEBHOOK_URLS="https://a.example/hook,https://b.example/hook"
+        webhooks: (env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+        webhookSecret: env.WEBHOOK_SECRET,
+        smtp: env.SMTP_HOST ? {
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT || '587', 10),
+            secure: env.SMTP_SECURE === 'true',
+            auth: env.SMTP_USER ? {user: env.SMTP_USER, pass: env.SMTP_PASS} : undefined
+        } : null,
+        emailTo: env.NOTIFY_EMAIL_TO,
+        emailFrom: env.NOTIFY_EMAIL_FROM || 'wp-updates@localhost',
+        retries: parseInt(env.NOTIFY_RETRIES || '3', 10),
+        backoff: parseInt(env.NOTIFY_BACKOFF_MS || '1000', 10),
+        timeout: parseInt(env.NOTIFY_TIMEOUT_MS || '10000', 10)
+    };
+}
+
+function summaryOf(entry) {
+    return {
+        slug: entry.slug,
+        productId: entry.productId,
+        name: entry.name || entry.productName,
+        version: entry.version,
+        date: entry.date,
+        fileUrl: entry.fileUrl,
+        releaseNotes: entry.releaseNotes || ''
+    };
+}
+
+/**
+ * What a run changed, split against the catalog as it was before the run
+ * recorded anything. Call it before catalog.recordDownloads.
+ */
+function summarize(list, failed) {
+    // A range can hold several versions of a plugin; only the newest counts
+    const newest = {};
+    for (const entry of list) {
+        if (entry.status !== 'downloaded') {
+            continue;
+        }
+        const key = `${entry.slug}\u0000${entry.productId || ''}`;
+        if (!newest[key] || compareVersions(entry.version, newest[key].version) > 0) {
+            newest[key] = entry;
+        }
+    }
+    const added = [];
+    const updated = [];
+    for (const entry of Object.values(newest)) {
+        const plugin = entry.slug ? catalog.findPlugin(entry) : null;
+        const previous = plugin && plugin.latestVersion;
+        if (!previous) {
+            added.push(summaryOf(entry));
+        } else if (compareVersions(entry.version, previous) > 0) {
+            updated.push(Object.assign(summaryOf(entry), {previousVersion: previous}));
+        }
+    }
+    return {
+        event: 'run.completed',
+        sentAt: new Date().toISOString(),
+        new: added,
+        updated,
+        failed: failed.map(entry => Object.assign(summaryOf(entry), {error: entry.error}))
+    };
+}
+
+function sign(body, secret) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function record(delivery) {
+    const entries = log.get('deliveries') || [];
+    entries.push(delivery);
+    log.set('deliveries', entries.slice(-MAX_LOG));
+}
+
+// Run send with exponential backoff, logging the outcome once
+async function withRetries(channel, target, options, send) {
+    let lastError;
+    for (let attempt = 0; attempt <= options.retries; attempt++) {
+        if (attempt > 0) {
+            await sleep(options.backoff * Math.pow(2, attempt - 1));
+        }
+        try {
+            await send();
+            record({channel, target, status: 'delivered', attempts: attempt + 1, at: new Date().toISOString()});
+            return true;
+        } catch (e) {
+            lastError = e;
+            (options.log || logger).warn('Notification failed', {channel, target, attempt: attempt + 1, err: e.message});
+        }
+    }
+    record({channel, target, status: 'failed', attempts: options.retries + 1, error: lastError.message, at: new Date().toISOString()});
+    return false;
+}
+
+function sendWebhook(url, payload, options = config()) {
+    const body = JSON.stringify(payload);
+    const headers = {'Content-Type': 'application/json', 'X-WP-Event': payload.event};
+    if (options.webhookSecret) {
+        headers['X-WP-Signature'] = sign(body, options.webhookSecret);
+    }
+    return withRetries('webhook', url, options, () => axios.post(url, body, {headers, timeout: options.timeout}));
+}
+
+function digestText(payload) {
+    const lines = [];
+    // Release notes go indented under their plugin
+    const notes = (e) => (e.releaseNotes ? e.releaseNotes.split('\n').map(line => `      ${line}`) : []);
+    const section = (title, entries, format) => {
+        if (entries.length) {
+            lines.push(title, ...entries.flatMap(e => [format(e), ...notes(e)]), '');
+        }
+    };
+    section('New plugins:', payload.new, e => `  ${e.name} ${e.version}  ${e.fileUrl || ''}`);
+    section('Updated plugins:', payload.updated, e => `  ${e.name} ${e.previousVersion} -> ${e.version}  ${e.fileUrl || ''}`);
+    section('Failed downloads:', payload.failed, e => `  ${e.name} ${e.version}: ${e.error}`);
+    return lines.join('\n');
+}
+
+function sendEmail(payload, options = config()) {
+    const transport = nodemailer.createTransport(Object.assign({connectionTimeout: options.timeout}, options.smtp));
+    const subject = `Plugin updates: ${payload.new.length} new, ${payload.updated.length} updated, ${payload.failed.length} failed`;
+    return withRetries('email', options.emailTo, options, () => transport.sendMail({
+        from: options.emailFrom,
+        to: options.emailTo,
+        subject,
+        text: digestText(payload)
+    }));
+}
+
+/**
+ * Send the payload to every configured webhook and the email digest.
+ * Nothing is sent for a run that changed nothing. Never rejects. Failed
+ * attempts are logged to options.log, a run's logger when a run sends.
+ */
+async function deliver(payload, options = config()) {
+    if (!payload.new.length && !payload.updated.length && !payload.failed.length) {
+        return [];
+    }
+    const sends = options.webhooks.map(url => sendWebhook(url, payload, options));
+    if (options.smtp && options.emailTo) {
+        sends.push(sendEmail(payload, options));
+    }
+    return Promise.all(sends);
+}
+
+function deliveries() {
+    return log.get('deliveries') || [];
+}
+
+module.exports = {
+    config,
+    summarize,
+    sign,
+    digestText,
+    sendWebhook,
+    sendEmail,
+    deliver,
+    deliveries
+};
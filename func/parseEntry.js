@@ -0,0 +1,160 @@
+// Changelog titles come in many shapes: "Foo v1.2.3", "Foo 2.3.1",
+// "Foo – Version 5.0-beta2", "Foo v1.2 + Addons". These helpers pull the
+// name and version out of them and say when they had to guess.
+
+const PRERELEASE = '(?:alpha|beta|rc|pre|dev|a|b)';
+// "-beta2", ".rc1", "b3", or a spelled-out tag after a space ("3.0 RC1")
+const TAG = `(?:[-.]?${PRERELEASE}|\\s(?:alpha|beta|rc))(?:[.-]?\\d+)?`;
+const NUMBER = `\\d+(?:\\.\\d+){0,3}(?:${TAG})?`;
+const SEPARATORS = '[\\s\\-–—:|(]*';
+// "v1.2", "version 1.2", "ver. 1.2"
+const MARKED = new RegExp(`${SEPARATORS}\\b(?:version|ver\\.?|v)\\s*(${NUMBER})\\b\\)?`, 'gi');
+// A bare dotted number; one without a dot is too likely part of the name ("Foo 365")
+const BARE = new RegExp(`${SEPARATORS}(?<![\\w.])(\\d+\\.\\d+(?:\\.\\d+){0,2}(?:${TAG})?)(?![\\w.])\\)?`, 'gi');
+
+/**
+ * Semver for a changelog version where one exists: "1.2" -> "1.2.0",
+ * "5.0-beta2" -> "5.0.0-beta.2". Four-part versions have no semver form
+ * and give null.
+ */
+function normalizeVersion(version) {
+    const match = String(version || '').trim().replace(/^v/i, '')
+        .match(new RegExp(`^(\\d+(?:\\.\\d+){0,3})(?:[-.\\s]?(${PRERELEASE})(?:[.-]?(\\d+))?)?$`, 'i'));
+    if (!match) {
+        return null;
+    }
+    const numbers = match[1].split('.').map(n => String(parseInt(n, 10)));
+    if (numbers.length > 3) {
+        return null;
+    }
+    while (numbers.length < 3) {
+        numbers.push('0');
+    }
+    let semver = numbers.join('.');
+    if (match[2]) {
+        const tag = {a: 'alpha', b: 'beta'}[match[2].toLowerCase()] || match[2].toLowerCase();
+        semver += '-' + tag + (match[3] ? '.' + parseInt(match[3], 10) : '');
+    }
+    return semver;
+}
+
+// Same ordering as PHP's version_compare, which WordPress uses
+const TAG_ORDER = {dev: 0, alpha: 1, a: 1, beta: 2, b: 2, rc: 3, pre: 3, '#': 4, pl: 5, p: 5};
+
+function versionTokens(version) {
+    return String(version || '').toLowerCase().trim().replace(/^v/, '')
+        .replace(/([a-z]+)/g, '.$1.')
+        .split(/[.\-+_\s]+/)
+        .filter(Boolean);
+}
+
+function tokenRank(token) {
+    return /^\d+$/.test(token) ? TAG_ORDER['#'] : (TAG_ORDER[token] !== undefined ? TAG_ORDER[token] : -1);
+}
+
+/**
+ * -1, 0 or 1 as a is older, the same as or newer than b: "1.2" < "1.2.1",
+ * "5.0-beta2" < "5.0", "1.10" > "1.9".
+ */
+function compareVersions(a, b) {
+    const left = versionTokens(a);
+    const right = versionTokens(b);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        // A missing part counts as "#": below a number, above a pre-release tag
+        const l = left[i] !== undefined ? left[i] : null;
+        const r = right[i] !== undefined ? right[i] : null;
+        const lRank = l === null ? TAG_ORDER['#'] - 0.5 : tokenRank(l);
+        const rRank = r === null ? TAG_ORDER['#'] - 0.5 : tokenRank(r);
+        if (lRank !== rRank) {
+            return lRank < rRank ? -1 : 1;
+        }
+        if (l !== null && r !== null && /^\d+$/.test(l) && /^\d+$/.test(r) && parseInt(l, 10) !== parseInt(r, 10)) {
+            return parseInt(l, 10) < parseInt(r, 10) ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+// Same release under compareVersions once trailing ".0" parts are dropped:
+// "1.2" names the same release as "v1.2.0", though version_compare orders them
+function sameVersion(a, b) {
+    const trim = (v) => String(v || '').trim().replace(/(\.0+)+$/, '');
+    return compareVersions(trim(a), trim(b)) === 0;
+}
+
+function tidyName(name) {
+    return name
+        .replace(/\s{2,}/g, ' ')
+        .replace(/^[\s\-–—:|]+|[\s\-–—:|(]+$/g, '')
+        .trim();
+}
+
+/**
+ * Split a changelog title into {name, version, semver, warnings}. warnings
+ * is empty when the parse is unambiguous.
+ */
+function parseTitle(title) {
+    const text = String(title || '').trim();
+    const warnings = [];
+
+    let matches = [...text.matchAll(MARKED)];
+    if (!matches.length) {
+        matches = [...text.matchAll(BARE)];
+    }
+    if (!matches.length) {
+        warnings.push('no-version');
+        return {name: tidyName(text), version: '', semver: null, warnings};
+    }
+    if (matches.length > 1) {
+        warnings.push('multiple-versions');
+    }
+
+    // The version is usually the last thing before any "+ Addons" suffix
+    const match = matches[matches.length - 1];
+    const version = match[1].replace(/^v/i, '').replace(/\s+/g, '-');
+    const name = tidyName(text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length));
+    const semver = normalizeVersion(version);
+    if (!semver && version.split('.').length <= 3) {
+        warnings.push('unrecognised-version');
+    }
+    if (!name) {
+        warnings.push('no-name');
+    }
+    return {name, version, semver, warnings};
+}
+
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * {slug, productId} from a product URL such as
+ * https://www.realgpl.com/product/foo/?product_id=12. Missing parts are ''.
+ */
+function parseProductUrl(url) {
+    try {
+        const parsedUrl = new URL(url);
+        // Get the last part of the path
+        const parts = parsedUrl.pathname.replace(/^\/|\/$/g, '').split('/');
+        return {
+            slug: parts[parts.length - 1] || '',
+            productId: parsedUrl.searchParams.get('product_id') || ''
+        };
+    } catch (e) {
+        return {slug: '', productId: ''};
+    }
+}
+
+module.exports = {
+    parseTitle,
+    normalizeVersion,
+    compareVersions,
+    sameVersion,
+    parseProductUrl,
+    slugify
+};
@@ -0,0 +1,46 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call worker(item, index) for every item with at most concurrency calls in
+ * flight. Resolves once all calls have settled, with {index, error} for
+ * every call that rejected; one failure doesn't stop the others.
+ */
+async function runPool(items, worker, concurrency = 1) {
+    let next = 0;
+    const failures = [];
+    const lane = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                await worker(items[index], index);
+            } catch (error) {
+                failures.push({index, error});
+            }
+        }
+    };
+    const lanes = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({length: lanes}, lane));
+    return failures.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Returns wait(), which resolves when the caller may start: at most rate
+ * starts per second, spaced evenly. A rate of 0 never waits.
+ */
+function createRateLimiter(rate = 0) {
+    const interval = rate > 0 ? 1000 / rate : 0;
+    let nextStart = 0;
+    return async function wait() {
+        if (!interval) {
+            return;
+        }
+        // Reserve the slot before sleeping, so callers line up in turn
+        const now = Date.now();
+        const start = Math.max(now, nextStart);
+        nextStart = start + interval;
+        await sleep(start - now);
+    };
+}
+
+module.exports = runPool;
+module.exports.createRateLimiter = createRateLimiter;
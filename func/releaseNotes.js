@@ -0,0 +1,108 @@
+const axios = require('axios');
+const {sameVersion} = require('./parseEntry');
+
+// Product pages carry the changelog as a readme ("= 1.2.3 =" followed by
+// "* Fixed ..."), as headings per version, or as a list of
+// "v1.2.3 – June 3, 2024" lines. These helpers turn the page into text and
+// cut out the part about one version.
+
+const MAX_LENGTH = parseInt(process.env.RELEASE_NOTES_MAX_LENGTH || '4000', 10);
+// A short line that starts with a version, optionally after "=", "#", "v",
+// "Version" or a date ("2024-06-03 - version 1.2.3", WooCommerce style)
+const VERSION_HEADING = /^[\s=#]*(?:\d{4}[-./]\d{2}[-./]\d{2}\s*[-–—:]\s*)?(?:version|ver\.?|v)?\s*(\d+(?:\.\d+){1,3}(?:[-.]?(?:alpha|beta|rc|pre|dev)[.-]?\d*)?)\b/i;
+const HEADING_MAX_LENGTH = 80;
+
+const ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…'};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return isNaN(point) ? match : String.fromCodePoint(point);
+        }
+        const named = ENTITIES[code.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+/**
+ * Plain text of an HTML page, one block element per line, list items as
+ * "- item". Only the part from an element with "changelog" in its id or
+ * class onwards is kept when there is one.
+ */
+function htmlToText(html) {
+    let body = String(html || '')
+        .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '');
+    const changelog = body.search(/<[a-z][^>]*\b(?:id|class)=["'][^"']*changelog[^"']*["']/i);
+    if (changelog !== -1) {
+        body = body.slice(changelog);
+    }
+    return decodeEntities(body
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|ul|ol|li|h[1-6]|tr|table|pre|blockquote|dd|dt)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ''))
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+function headingVersion(line) {
+    if (line.length > HEADING_MAX_LENGTH) {
+        return null;
+    }
+    const match = line.match(VERSION_HEADING);
+    return match ? match[1] : null;
+}
+
+/**
+ * The lines under the heading for version, up to the next version heading,
+ * or '' when the text has no such heading. Long notes are cut at MAX_LENGTH.
+ */
+function extractNotes(text, version, maxLength = MAX_LENGTH) {
+    if (!version) {
+        return '';
+    }
+    const lines = String(text || '').split('\n');
+    const start = lines.findIndex(line => {
+        const found = headingVersion(line);
+        return found && sameVersion(found, version);
+    });
+    if (start === -1) {
+        return '';
+    }
+    const notes = [];
+    for (const line of lines.slice(start + 1)) {
+        if (headingVersion(line)) {
+            break;
+        }
+        notes.push(line.replace(/^[*•]\s+/, '- '));
+    }
+    const joined = notes.join('\n').trim();
+    return joined.length > maxLength ? joined.slice(0, maxLength - 1).trimEnd() + '…' : joined;
+}
+
+/**
+ * Fetch the product page of entry and pull out the notes for its version.
+ * Resolves with '' when there is no product URL or nothing matches; rejects
+ * on network errors.
+ */
+async function fetchNotes(entry, cookies, options = {}) {
+    if (!entry.productURL || !entry.version) {
+        return '';
+    }
+    const response = await axios.get(entry.productURL, {
+        headers: cookies ? {Cookie: cookies} : {},
+        timeout: options.timeout || 30000,
+        responseType: 'text'
+    });
+    return extractNotes(htmlToText(response.data), entry.version);
+}
+
+module.exports = {
+    htmlToText,
+    extractNotes,
+    fetchNotes
+};
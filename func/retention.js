@@ -0,0 +1,154 @@
+const JSONdb = require('simple-json-db');
+const path = require('path');
+const catalog = require('./catalog');
+const runLock = require('./runLock');
+const storage = require('./storage');
+const log = require('./logger').child({component: 'retention'});
+const {compareVersions} = require('./parseEntry');
+
+const state = new JSONdb(process.env.RETENTION_PATH || path.join(__dirname, 'retention.json'));
+
+// 0 disables a limit
+const policy = {
+    maxAgeHours: parseFloat(process.env.RETENTION_MAX_AGE_HOURS || '168'),
+    maxSizeMb: parseFloat(process.env.RETENTION_MAX_SIZE_MB || '0'),
+    keepVersions: parseInt(process.env.RETENTION_KEEP_VERSIONS || '3', 10),
+    intervalMinutes: parseFloat(process.env.RETENTION_INTERVAL_MINUTES || '15')
+};
+
+let timer = null;
+
+// Filenames of versions beyond the newest keepVersions of each plugin
+function supersededFiles() {
+    const files = new Set();
+    if (!policy.keepVersions) {
+        return files;
+    }
+    for (const plugin of catalog.allPlugins()) {
+        // Versions skipped by the watchlist have no file and don't count
+        // Newest version first; a range run records newest first, so recordedAt can't tell
+        const versions = plugin.versions.filter(v => v.filename).sort((a, b) => compareVersions(b.version, a.version));
+        const kept = new Set(versions.slice(0, policy.keepVersions).map(v => v.filename));
+        for (const version of versions.slice(policy.keepVersions)) {
+            // Another kept version may share the filename, don't remove it then
+            if (version.filename && !kept.has(version.filename)) {
+                files.add(version.filename);
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * Work out which files the policy removes, without touching anything.
+ */
+async function plan(now = Date.now()) {
+    const files = (await storage.list()).map(file => ({
+        file: file.key,
+        size: file.size,
+        modifiedAt: new Date(file.modifiedAt)
+    }));
+    const superseded = supersededFiles();
+    const due = [];
+    const remaining = [];
+
+    for (const file of files) {
+        const ageHours = (now - file.modifiedAt.getTime()) / 3600000;
+        if (policy.maxAgeHours && ageHours > policy.maxAgeHours) {
+            due.push(Object.assign({reason: 'max-age'}, file));
+        } else if (superseded.has(file.file)) {
+            due.push(Object.assign({reason: 'keep-versions'}, file));
+        } else {
+            remaining.push(file);
+        }
+    }
+
+    if (policy.maxSizeMb) {
+        const limit = policy.maxSizeMb * 1024 * 1024;
+        let total = remaining.reduce((sum, file) => sum + file.size, 0);
+        remaining.sort((a, b) => a.modifiedAt - b.modifiedAt);
+        while (total > limit && remaining.length) {
+            const file = remaining.shift();
+            total -= file.size;
+            due.push(Object.assign({reason: 'max-size'}, file));
+        }
+    }
+
+    return {
+        totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+        fileCount: files.length,
+        due
+    };
+}
+
+async function sweep() {
+    // Hold the run lock for the whole sweep, so no run can find a file
+    // unchanged between listing and removing it
+    const result = await runLock.runExclusive('retention', removeDue);
+    if (result === null) {
+        log.info('Retention sweep skipped, a run is in progress');
+    }
+    return result;
+}
+
+async function removeDue() {
+    const {due} = await plan();
+    const removed = [];
+    for (const file of due) {
+        try {
+            await storage.remove(file.file);
+            removed.push(file);
+        } catch (e) {
+            log.error('Retention failed to remove a file', {file: file.file, err: e.message});
+        }
+    }
+    const result = {
+        at: new Date().toISOString(),
+        removed: removed.length,
+        freedBytes: removed.reduce((sum, file) => sum + file.size, 0)
+    };
+    if (removed.length) {
+        log.info('Retention removed files', {removed: removed.length, freedBytes: result.freedBytes});
+    }
+    // The catalog must stop offering these; files that went missing some
+    // other way (removed by hand, a lifecycle rule) are caught here too
+    const stored = new Set((await storage.list()).map(file => file.key));
+    const missing = catalog.allPlugins()
+        .flatMap(plugin => plugin.versions.map(v => v.filename))
+        .filter(filename => filename && !stored.has(filename));
+    result.forgotten = catalog.markRemoved(missing);
+    state.set('lastSweep', result);
+    return result;
+}
+
+// A single sweeper for the process; the first sweep catches up after a restart
+function start() {
+    if (timer) {
+        return;
+    }
+    const run = () => sweep().catch(err => log.error('Retention sweep failed', {err}));
+    run();
+    timer = setInterval(run, policy.intervalMinutes * 60000);
+    timer.unref();
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+async function status() {
+    return Object.assign({
+        storage: storage.name,
+        policy,
+        lastSweep: state.get('lastSweep') || null
+    }, await plan());
+}
+
+module.exports = {
+    plan,
+    sweep,
+    start,
+    stop,
+    status
+};
@@ -0,0 +1,32 @@
+// Only one scrape may use the browser and downloads directory at a time.
+let current = null;
+
+function isRunning() {
+    return current !== null;
+}
+
+function currentRun() {
+    return current;
+}
+
+/**
+ * Run task unless another run holds the lock. Resolves to null without
+ * running when busy, so callers can decide whether to skip or report it.
+ */
+async function runExclusive(name, task) {
+    if (current) {
+        return null;
+    }
+    current = {name, startedAt: new Date().toISOString()};
+    try {
+        return await task();
+    } finally {
+        current = null;
+    }
+}
+
+module.exports = {
+    isRunning,
+    currentRun,
+    runExclusive
+};
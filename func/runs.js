@@ -0,0 +1,152 @@
+const JSONdb = require('simple-json-db');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// History of scraper runs, newest last, plus running totals for /metrics
+// that survive pruning: {"runs": [...], "totals": {...}}
+const runsPath = process.env.RUNS_PATH || path.join(__dirname, 'runs.json');
+const MAX_RUNS = parseInt(process.env.MAX_RUNS || '200', 10);
+
+const RESULTS = ['downloaded', 'unchanged', 'skipped', 'failed'];
+// Runs of this process that haven't finished yet
+const active = new Set();
+
+function open() {
+    const dirname = path.dirname(runsPath);
+    if (!fs.existsSync(dirname)) {
+        fs.mkdirSync(dirname, {recursive: true});
+    }
+    return new JSONdb(runsPath);
+}
+
+function emptyTotals() {
+    return {
+        runs: {success: 0, failed: 0},
+        rows: Object.fromEntries(RESULTS.map(result => [result, 0])),
+        bytes: 0
+    };
+}
+
+// A run still "running" that this process didn't start was cut off by a restart
+function settle(run) {
+    if (run.status === 'running' && !active.has(run.id)) {
+        return Object.assign({}, run, {status: 'interrupted'});
+    }
+    return run;
+}
+
+function save(record) {
+    const db = open();
+    const runs = db.get('runs') || [];
+    const index = runs.findIndex(run => run.id === record.id);
+    if (index === -1) {
+        runs.push(record);
+    } else {
+        runs[index] = record;
+    }
+    db.set('runs', runs.slice(-MAX_RUNS));
+}
+
+function addTotals(record) {
+    const db = open();
+    const totals = Object.assign(emptyTotals(), db.get('totals'));
+    totals.runs[record.status] = (totals.runs[record.status] || 0) + 1;
+    for (const result of RESULTS) {
+        totals.rows[result] += record.rows[result];
+    }
+    totals.bytes += record.bytes;
+    db.set('totals', totals);
+}
+
+/**
+ * Start recording a run. The returned tracker times phases with phase(name),
+ * counts rows with count(result, bytes), keeps the changelog walk's stats
+ * with scrape(stats) and is closed with finish(error). Every change is saved,
+ * so /runs shows the progress of runs no job tracks, like scheduled ones.
+ */
+function start(params = {}) {
+    const record = {
+        id: params.id || crypto.randomUUID(),
+        trigger: params.trigger || 'manual',
+        dates: params.dates || [],
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        phases: {},
+        // Pagination stats of the changelog walk, {pages, rowsInspected, stoppedEarly, truncated}
+        scrape: null,
+        rows: Object.assign({found: 0}, emptyTotals().rows),
+        bytes: 0,
+        error: null
+    };
+    active.add(record.id);
+    save(record);
+
+    let current = null;
+    const endPhase = () => {
+        if (current) {
+            current.finishedAt = new Date().toISOString();
+            current.durationMs = Date.parse(current.finishedAt) - Date.parse(current.startedAt);
+            current = null;
+        }
+    };
+
+    return {
+        id: record.id,
+        record,
+        phase(name) {
+            endPhase();
+            current = {startedAt: new Date().toISOString(), finishedAt: null, durationMs: null};
+            record.phases[name] = current;
+            save(record);
+        },
+        found(count) {
+            record.rows.found = count;
+            save(record);
+        },
+        scrape(stats) {
+            record.scrape = Object.assign({}, stats);
+            save(record);
+        },
+        count(result, bytes = 0) {
+            record.rows[result]++;
+            record.bytes += bytes || 0;
+            save(record);
+        },
+        finish(error) {
+            endPhase();
+            record.status = error ? 'failed' : 'success';
+            record.error = error ? error.message : null;
+            record.finishedAt = new Date().toISOString();
+            record.durationMs = Date.parse(record.finishedAt) - Date.parse(record.startedAt);
+            active.delete(record.id);
+            save(record);
+            addTotals(record);
+            return record;
+        }
+    };
+}
+
+// Newest first
+function list() {
+    return (open().get('runs') || []).map(settle).reverse();
+}
+
+function get(id) {
+    const run = (open().get('runs') || []).find(r => r.id === id);
+    return run ? settle(run) : null;
+}
+
+function totals() {
+    return Object.assign(emptyTotals(), open().get('totals'));
+}
+
+module.exports = {
+    RESULTS,
+    start,
+    list,
+    get,
+    totals
+};
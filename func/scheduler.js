@@ -0,0 +1,127 @@
+const cronParser = require('cron-parser');
+const JSONdb = require('simple-json-db');
+const path = require('path');
+const scheduledTaskYesterday = require('./scheduledTaskYesterday');
+const runLock = require('./runLock');
+const log = require('./logger').child({component: 'scheduler'});
+
+// SCHEDULE_CRON="0 2 * * *" with SCHEDULE_OFFSET_DAYS=1 scrapes yesterday at 02:00
+const cron = process.env.SCHEDULE_CRON;
+const offsetDays = parseInt(process.env.SCHEDULE_OFFSET_DAYS || '1', 10);
+const timezone = process.env.SCHEDULE_TZ;
+// How often to check whether a /refresh or retry job has let go of the lock
+const LOCK_RETRY_MS = 5000;
+const state = new JSONdb(path.join(__dirname, 'schedule.json'));
+
+let timer = null;
+let nextRun = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run task once the lock is free; a job holding it delays the scheduled
+// run instead of dropping that day
+async function whenFree(name, task) {
+    for (let waited = false; ; waited = true) {
+        let ran = false;
+        const result = await runLock.runExclusive(name, () => {
+            ran = true;
+            return task();
+        });
+        if (ran) {
+            return result;
+        }
+        if (!waited) {
+            log.info('Waiting for the run in progress to finish', {running: runLock.currentRun()});
+        }
+        await sleep(LOCK_RETRY_MS);
+    }
+}
+
+function nextDate() {
+    const options = timezone ? {tz: timezone} : {};
+    return cronParser.parseExpression(cron, options).next().toDate();
+}
+
+function targetDate(now = new Date()) {
+    const date = new Date(now.getTime());
+    date.setDate(date.getDate() - offsetDays);
+    return date;
+}
+
+async function run() {
+    const startedAt = new Date();
+    const date = targetDate(startedAt);
+    log.info('Scheduled run starting', {date: date.toISOString()});
+    let outcome;
+    try {
+        const result = await whenFree('schedule', () => scheduledTaskYesterday(date, undefined, {trigger: 'schedule'}));
+        if (result instanceof Error) {
+            outcome = {status: 'failed', message: result.message};
+        } else {
+            outcome = {status: 'success', files: Array.isArray(result) ? result.length : result};
+        }
+    } catch (e) {
+        outcome = {status: 'failed', message: e.message};
+    }
+    outcome.date = date.toISOString();
+    outcome.startedAt = startedAt.toISOString();
+    outcome.finishedAt = new Date().toISOString();
+    log.info('Scheduled run finished', {status: outcome.status});
+    state.set('lastOutcome', outcome);
+    return outcome;
+}
+
+function scheduleNext() {
+    nextRun = nextDate();
+    // setTimeout overflows past ~24.8 days, so wake up early and re-check
+    const delay = Math.min(nextRun.getTime() - Date.now(), 2147483647);
+    timer = setTimeout(() => {
+        if (Date.now() < nextRun.getTime()) {
+            return scheduleNext();
+        }
+        run().finally(scheduleNext);
+    }, Math.max(delay, 0));
+}
+
+function start() {
+    if (!cron) {
+        log.info('SCHEDULE_CRON not set, scheduler disabled');
+        return false;
+    }
+    if (timer) {
+        return true;
+    }
+    try {
+        scheduleNext();
+    } catch (e) {
+        log.error('Invalid SCHEDULE_CRON', {cron, err: e});
+        return false;
+    }
+    log.info('Scheduler started', {nextRun: nextRun.toISOString()});
+    return true;
+}
+
+function stop() {
+    clearTimeout(timer);
+    timer = null;
+    nextRun = null;
+}
+
+function status() {
+    return {
+        enabled: timer !== null,
+        cron: cron || null,
+        offsetDays,
+        timezone: timezone || null,
+        nextRun: nextRun ? nextRun.toISOString() : null,
+        running: runLock.currentRun(),
+        lastOutcome: state.get('lastOutcome') || null
+    };
+}
+
+module.exports = {
+    start,
+    stop,
+    run,
+    status
+};
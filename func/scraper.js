@@ -0,0 +1,560 @@
+const puppeteer = require('puppeteer');
+const JSONdb = require('simple-json-db');
+const fs = require('fs');
+const path = require('path');
+const convertJsonToCsv = require('./convertJsonToCsv');
+const catalog = require('./catalog');
+const downloadFile = require('./download');
+const verifyDownload = require('./verifyDownload');
+const errorSet = require('./errorSet');
+const notify = require('./notify');
+const storage = require('./storage');
+const watchlist = require('./watchlist');
+const runs = require('./runs');
+const logger = require('./logger');
+const session = require('./session');
+const releaseNotes = require('./releaseNotes');
+const runPool = require('./pool');
+const {createRateLimiter} = require('./pool');
+const {formatChangelogDate} = require('./dateRange');
+const {parseTitle, parseProductUrl, slugify} = require('./parseEntry');
+const {filenameFor, createFilenamer} = require('./filename');
+
+/**
+ * Everything the scrape can be tuned with. Entry points and scripts pass
+ * overrides for the parts they need; each step below takes the same object.
+ */
+function configure(options = {}) {
+    return Object.assign({
+        baseUrl: process.env.SCRAPER_BASE_URL || 'https://www.realgpl.com',
+        username: process.env.USERNAME,
+        password: process.env.PASSWORD,
+        launchOptions: {headless: true},
+        // Click the cookie consent banner before logging in
+        acceptConsent: true,
+        resultsPerPage: 250,
+        // Safety net for the pagination walk
+        maxPages: parseInt(process.env.CHANGELOG_MAX_PAGES || '50', 10),
+        dbPath: process.env.FILES_PATH || path.join(__dirname, 'files.json'),
+        dataCsv: process.env.DATA_CSV_PATH || path.join(__dirname, '..', 'public', 'data.csv'),
+        errorCsv: process.env.ERROR_CSV_PATH || path.join(__dirname, '..', 'public', 'error.csv'),
+        // Webhook and email settings, see notify.config()
+        notify: notify.config(),
+        // What started the run, kept in its history: schedule, refresh, retry...
+        trigger: 'manual',
+        // Log in with the cookies of the last run while the site accepts them
+        reuseSession: true,
+        // Downloads in flight at once, and at most this many started per second (0: no limit)
+        concurrency: parseInt(process.env.DOWNLOAD_CONCURRENCY || '3', 10),
+        rateLimit: parseFloat(process.env.DOWNLOAD_RATE_LIMIT || '0'),
+        // Follow productURL for the changelog text of each new version
+        releaseNotes: process.env.RELEASE_NOTES !== 'false',
+        log: logger,
+        onProgress: () => {}
+    }, options);
+}
+
+async function launch(options = configure()) {
+    options.log.info('Launching Puppeteer browser');
+    const browser = await puppeteer.launch(options.launchOptions);
+    const page = await browser.newPage();
+    page.setDefaultTimeout(0);
+    return {browser, page};
+}
+
+async function login(page, options = configure()) {
+    options.log.info('Going to the login page');
+    await page.goto(`${options.baseUrl}/my-account/`);
+
+    if (options.acceptConsent) {
+        try {
+            //consent label
+            await page.click('.fc-button-label');
+        } catch (error) {
+            options.log.debug('No consent block');
+        }
+    }
+
+    if (!options.username || !options.password) {
+        throw new Error('USERNAME and PASSWORD must be set');
+    }
+    options.log.debug('Typing username and password');
+    await page.type('#username', options.username.toString());
+    await page.type('#password', options.password.toString());
+
+    options.log.info('Clicking the login button');
+    await Promise.all([
+        page.waitForNavigation(),
+        page.click('.button.woocommerce-button.woocommerce-form-login__submit'),
+    ]);
+
+    // WooCommerce re-renders the form with a notice when the login is refused
+    if (await page.$('#username')) {
+        const notice = await page.$eval('.woocommerce-error', el => el.innerText.trim()).catch(() => '');
+        throw new Error(`Login failed${notice ? ': ' + notice : ''}`);
+    }
+}
+
+/**
+ * Rows of the changelog table, following its pagination. filter.dates limits
+ * them to those changelog dates ("June 1, 2024"); since the changelog is
+ * newest first, the walk stops at the first page that reaches past the
+ * oldest of them. Without dates every page is read, up to options.maxPages;
+ * stopping there with pages left sets stats.truncated and logs a warning.
+ * Resolves with {rows, stats: {pages, rowsInspected, stoppedEarly, truncated}}.
+ */
+async function scrapeChangelog(page, filter = {}, options = configure()) {
+    const theDates = filter.dates || null;
+    const oldest = theDates ? Math.min(...theDates.map(date => new Date(date).getTime())) : null;
+    const stats = {pages: 0, rowsInspected: 0, stoppedEarly: false, truncated: false};
+    const rows = [];
+    let url = `${options.baseUrl}/changelog/?99936_results_per_page=${options.resultsPerPage}`;
+
+    while (url && stats.pages < options.maxPages) {
+        options.log.info('Going to the changelog page', {url});
+        await page.goto(url);
+        stats.pages++;
+
+        const result = await page.evaluate(() => {
+            const rowDataArray = [];
+            for (const row of document.querySelectorAll('tr.awcpt-row')) {
+                var date = row.querySelector('.awcpt-date').innerText;
+                try {
+                    const id = row.getAttribute('data-id');
+                    const productName = row.querySelector('.awcpt-title').innerText;
+                    const downloadLink = row.querySelector('.awcpt-shortcode-wrap a').getAttribute('href');
+                    const productURL = row.querySelector('.awcpt-prdTitle-col a').getAttribute('href');
+
+                    // Create an object with the extracted data for each row
+                    rowDataArray.push({
+                        id,
+                        productName,
+                        date,
+                        downloadLink,
+                        productURL, // Add the product URL to the object
+                    });
+                } catch (e) {
+                    // No download link for this row, keep its date for the range check
+                    rowDataArray.push({date, incomplete: true});
+                }
+            }
+            const next = document.querySelector('a.next.page-numbers, .awcpt-pagination a.next');
+            return {rows: rowDataArray, next: next ? next.href : null};
+        });
+
+        stats.rowsInspected += result.rows.length;
+        for (const row of result.rows) {
+            // This determanice date of the update
+            if (!row.incomplete && (!theDates || theDates.includes(row.date))) {
+                rows.push(row);
+            }
+        }
+
+        const pageOldest = Math.min(...result.rows.map(row => new Date(row.date).getTime()).filter(time => !isNaN(time)));
+        if (oldest !== null && pageOldest < oldest) {
+            stats.stoppedEarly = !!result.next;
+            url = null;
+            break;
+        }
+        url = result.next;
+    }
+    if (url) {
+        // Rows past the last page read would be missing without a word
+        stats.truncated = true;
+        options.log.warn('Changelog walk hit maxPages with pages left', {maxPages: options.maxPages, next: url});
+    }
+
+    options.log.info('Changelog scraped', Object.assign({dates: theDates || 'all', rows: rows.length}, stats));
+    return {rows, stats};
+}
+
+/**
+ * Add version, name, slug and productId parsed from the row's title and
+ * product URL. Rows that could not be parsed cleanly carry parseWarnings.
+ */
+function parseEntry(row, log = logger) {
+    const entry = Object.assign({}, row);
+    const title = parseTitle(entry.productName);
+    const product = parseProductUrl(entry.productURL);
+    entry.version = title.version;
+    entry.semver = title.semver;
+    entry.name = title.name;
+    entry.slug = product.slug || slugify(title.name);
+    entry.productId = product.productId;
+    entry.filename = '';
+    entry.filePath = '';
+    entry.parseWarnings = title.warnings;
+    if (!product.slug) {
+        entry.parseWarnings.push('no-slug-in-url');
+    }
+    if (entry.parseWarnings.length) {
+        log.warn('Unsure about changelog title', {productName: entry.productName, warnings: entry.parseWarnings});
+    }
+    return entry;
+}
+
+// Cookie header for axios from the logged-in Puppeteer page
+async function cookieHeader(page) {
+    return session.header(await page.cookies());
+}
+
+/**
+ * Log the page in, reusing the stored session when the site still accepts
+ * it. Resolves with {cookies, relogin}: cookies is the header for downloads,
+ * relogin(cookies) logs in again when those cookies have been refused,
+ * unless another download already did.
+ */
+async function startSession(page, options = configure()) {
+    const state = {cookies: null, pending: null};
+    const fresh = async () => {
+        await login(page, options);
+        const cookies = await page.cookies();
+        session.save(options.baseUrl, cookies);
+        state.cookies = session.header(cookies);
+    };
+
+    const stored = options.reuseSession ? session.load(options.baseUrl) : null;
+    if (stored) {
+        await page.setCookie(...stored);
+        await page.goto(`${options.baseUrl}/my-account/`);
+        if (!await page.$('#username')) {
+            options.log.info('Reusing the stored session');
+            state.cookies = await cookieHeader(page);
+        }
+    }
+    if (!state.cookies) {
+        await fresh();
+    }
+
+    return {
+        get cookies() {
+            return state.cookies;
+        },
+        async relogin(refused) {
+            if (refused !== state.cookies) {
+                return;
+            }
+            if (!state.pending) {
+                options.log.warn('Session expired, logging in again');
+                session.clear();
+                state.pending = fresh().finally(() => {
+                    state.pending = null;
+                });
+            }
+            await state.pending;
+        }
+    };
+}
+
+// The site answers with its login form, not an error, once the session is gone
+function isLoginPage(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(65536);
+        const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return /woocommerce-form-login|id="username"/.test(buffer.subarray(0, length).toString('utf8'));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Download, verify and store one parsed entry. Resolves with the entry
+ * filled in with filename, filePath and fileUrl; rejects if the file is
+ * missing or not a valid archive.
+ */
+async function downloadEntry(entry, cookies, options = configure()) {
+    // run() assigns collision-free names; used alone, fall back to the plain one
+    const filename = entry.filename || filenameFor(entry);
+
+    if (!fs.existsSync(storage.workDir)) {
+        fs.mkdirSync(storage.workDir, {recursive: true});
+    }
+    const filePath = path.join(storage.workDir, filename);
+    // Download the file with retries and save it to the specified path
+    const {response} = await downloadFile(entry.downloadLink, filePath, {
+        headers: {
+            Cookie: cookies
+        },
+        log: options.log
+    });
+    // Don't publish login pages or broken archives as good files
+    const check = verifyDownload(filePath, {
+        contentType: response.headers['content-type'],
+        version: entry.version
+    });
+    if (!check.valid) {
+        const loginPage = isLoginPage(filePath);
+        fs.rmSync(filePath, {force: true});
+        if (loginPage) {
+            const error = new Error('Got the login page instead of the file, the session has expired');
+            error.code = 'LOGIN_REQUIRED';
+            throw error;
+        }
+        throw new Error(check.errors.join('; '));
+    }
+    entry.pluginVersion = check.pluginVersion;
+    entry.pluginFile = check.pluginFile;
+    entry.size = fs.statSync(filePath).size;
+    entry.checksum = await catalog.checksum(filePath);
+
+    // Hand the file to the storage driver and record where it ended up
+    const {location} = await storage.put(filePath, filename);
+    entry.filename = filename;
+    entry.filePath = location;
+    entry.fileUrl = await storage.url(filename);
+    entry.status = 'downloaded';
+    return entry;
+}
+
+// Resolves once the file is written; a failed CSV is logged, not fatal
+function writeCsv(rows, outputPath, fields, log = logger) {
+    return new Promise((resolve) => {
+        if (!outputPath) {
+            return resolve();
+        }
+        convertJsonToCsv(rows, outputPath, (err) => {
+            if (err) {
+                log.error('Failed to write CSV', {path: outputPath, err});
+            } else {
+                log.info('CSV file has been saved', {path: outputPath});
+            }
+            resolve();
+        }, fields);
+    });
+}
+
+/**
+ * Log in, collect the changelog rows for options.dates (or retry
+ * options.entries), download them and write files.json, the CSVs and the
+ * catalog. Resolves with the list of available files; on failure resolves
+ * with the error, as callers have always expected. Every run is kept in the
+ * run history and logs with its run id.
+ */
+async function run(options = {}) {
+    options = configure(options);
+    const onProgress = options.onProgress;
+    const dates = options.dates || [new Date()];
+    const retrying = Array.isArray(options.entries);
+    const history = runs.start({
+        trigger: options.trigger,
+        dates: retrying ? [] : dates.map(formatChangelogDate)
+    });
+    const log = options.log.child({runId: history.id});
+    options = Object.assign({}, options, {log});
+    onProgress({phase: 'start', runId: history.id});
+
+    // files.json keeps the last successful scrape until this one succeeds
+    fs.mkdirSync(path.dirname(options.dbPath), {recursive: true});
+    const db = new JSONdb(options.dbPath);
+    let list = [];
+    let error = [];
+    let browser;
+    try {
+        history.phase('login');
+        const launched = await launch(options);
+        browser = launched.browser;
+        const page = launched.page;
+
+        onProgress({phase: 'login'});
+        const auth = await startSession(page, options);
+
+        let rows;
+        history.phase('scrape');
+        if (retrying) {
+            log.info('Retrying failed rows', {rows: options.entries.length});
+            rows = options.entries.map(entry => ({
+                id: entry.id,
+                productName: entry.productName,
+                date: entry.date,
+                downloadLink: entry.downloadLink,
+                productURL: entry.productURL,
+            }));
+        } else {
+            onProgress({phase: 'scrape'});
+            const changelog = await scrapeChangelog(page, {dates: dates.map(formatChangelogDate)}, options);
+            rows = changelog.rows;
+            history.scrape(changelog.stats);
+            onProgress({phase: 'scrape', stats: changelog.stats});
+        }
+
+        const data = rows.map(row => parseEntry(row, log));
+        history.found(data.length);
+        log.info('Data processing completed', {rows: data.length});
+        history.phase('download');
+        onProgress({phase: 'download', current: 0, total: data.length, entries: data});
+
+        const assignFilename = createFilenamer(log);
+        const rules = watchlist.rules();
+        const rateLimit = createRateLimiter(options.rateLimit);
+        let completed = 0;
+
+        const fetchReleaseNotes = async (entry, fields) => {
+            if (!options.releaseNotes) {
+                return;
+            }
+            try {
+                await rateLimit();
+                entry.releaseNotes = await releaseNotes.fetchNotes(entry, auth.cookies);
+            } catch (e) {
+                log.warn('Could not fetch release notes', Object.assign({}, fields, {url: entry.productURL, err: e}));
+                entry.releaseNotes = '';
+            }
+        };
+
+        const handle = async (entry, index, previous) => {
+            const progress = (status) => {
+                if (status !== 'downloading') {
+                    completed++;
+                }
+                onProgress({phase: 'download', current: completed, total: data.length, index, entry, status});
+            };
+            const fields = {file: index + 1, of: data.length, productName: entry.productName, slug: entry.slug, version: entry.version};
+            log.debug('Starting download', fields);
+            progress('downloading');
+
+            if (previous && previous.status === 'downloaded') {
+                entry.filename = previous.filename;
+                entry.filePath = previous.filePath;
+                entry.fileUrl = previous.fileUrl;
+                entry.releaseNotes = previous.releaseNotes;
+                entry.status = previous.status;
+                log.info('Already downloaded', fields);
+                progress(entry.status);
+                return;
+            }
+            // Storage lookups can fail too (S3 network errors, 403s); any error
+            // marks the entry failed instead of letting it pass as a success
+            try {
+                const stored = await catalog.findDownloaded(entry);
+                if (stored) {
+                    entry.filename = stored.filename;
+                    entry.filePath = stored.filePath;
+                    // Presigned links expire, ask the driver for a fresh one
+                    entry.fileUrl = await storage.url(stored.filename);
+                    entry.releaseNotes = stored.releaseNotes || '';
+                    entry.status = 'unchanged';
+                    log.info('Unchanged, skipping download', fields);
+                    history.count('unchanged');
+                    progress(entry.status);
+                    return;
+                }
+                if (!watchlist.isWatched(entry, rules)) {
+                    // Keep the row so it's visible what was left out, without a file
+                    entry.status = 'skipped';
+                    entry.filename = '';
+                    entry.filePath = '';
+                    entry.fileUrl = '';
+                    // No product page request either, that traffic is what the watchlist saves
+                    entry.releaseNotes = '';
+                    log.info('Not on the watchlist, skipping download', fields);
+                    history.count('skipped');
+                    progress(entry.status);
+                    return;
+                }
+                entry.filename = assignFilename(entry);
+                await rateLimit();
+                const cookies = auth.cookies;
+                try {
+                    await downloadEntry(entry, cookies, options);
+                } catch (e) {
+                    if (e.code !== 'LOGIN_REQUIRED') {
+                        throw e;
+                    }
+                    await auth.relogin(cookies);
+                    await rateLimit();
+                    await downloadEntry(entry, auth.cookies, options);
+                }
+                await fetchReleaseNotes(entry, fields);
+                log.info('Download Successful', Object.assign(fields, {filename: entry.filename, size: entry.size}));
+                history.count('downloaded', entry.size);
+                progress(entry.status);
+            } catch (e) {
+                log.error('Failed to download', Object.assign(fields, {url: entry.downloadLink, err: e}));
+                history.count('failed');
+                entry.status = 'failed';
+                entry.error = e.message;
+                // Nothing was stored, don't point at a file
+                entry.filename = '';
+                entry.filePath = '';
+                entry.fileUrl = '';
+                progress('failed');
+            }
+        };
+
+        // The same link can show up on several days of a range; later
+        // entries wait for the first and reuse its file
+        const claimed = {};
+        const failures = await runPool(data, async (entry, index) => {
+            const earlier = claimed[entry.downloadLink];
+            let release;
+            claimed[entry.downloadLink] = new Promise(resolve => {
+                release = resolve;
+            });
+            try {
+                await handle(entry, index, earlier ? await earlier : null);
+            } finally {
+                release(entry);
+            }
+        }, options.concurrency);
+        for (const {index, error: e} of failures) {
+            const entry = data[index];
+            log.error('Failed to download', {file: index + 1, of: data.length, productName: entry.productName, url: entry.downloadLink, err: e});
+            if (entry.status !== 'failed') {
+                history.count('failed');
+            }
+            Object.assign(entry, {status: 'failed', error: e.message, filename: '', filePath: '', fileUrl: ''});
+        }
+
+        // Keep the changelog order, whichever download finished first
+        list = data.filter(entry => entry.status !== 'failed');
+        error = data.filter(entry => entry.status === 'failed');
+        log.info('Downloads finished', history.record.rows);
+    } catch (err) {
+        log.error('Run failed', {err});
+        history.finish(err);
+        return err;
+    } finally {
+        if (browser) {
+            await browser.close();
+            log.info('Browser closed');
+        }
+    }
+
+    history.phase('export');
+    onProgress({phase: 'export'});
+    try {
+        errorSet.save(error);
+        await writeCsv(error, options.errorCsv, [...convertJsonToCsv.defaultFields, 'error'], log);
+        // Compare against the catalog before this run's versions go in
+        const changes = notify.summarize(list, error);
+        if (retrying) {
+            await catalog.recordDownloads(list, log);
+        } else {
+            db.JSON(list);
+            db.sync();
+            await catalog.recordDownloads(list.filter(entry => entry.status !== 'unchanged'), log);
+            await writeCsv(list, options.dataCsv, undefined, log);
+        }
+        await notify.deliver(changes, Object.assign({}, options.notify, {log}));
+    } catch (err) {
+        log.error('Run failed', {err});
+        history.finish(err);
+        return err;
+    }
+    const record = history.finish();
+    log.info('Run finished', {durationMs: record.durationMs, rows: record.rows, bytes: record.bytes});
+    return list;
+}
+
+module.exports = {
+    configure,
+    launch,
+    login,
+    scrapeChangelog,
+    parseEntry,
+    cookieHeader,
+    startSession,
+    downloadEntry,
+    run
+};
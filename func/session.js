@@ -0,0 +1,57 @@
+const JSONdb = require('simple-json-db');
+const fs = require('fs');
+const path = require('path');
+
+// Cookies of the last login, so runs don't have to log in from scratch:
+// {"baseUrl": "...", "savedAt": "...", "cookies": [...puppeteer cookies]}
+const sessionPath = process.env.SESSION_PATH || path.join(__dirname, 'session.json');
+// Cookies without an expiry live as long as the browser; give them this long
+const MAX_AGE_HOURS = parseFloat(process.env.SESSION_MAX_AGE_HOURS || '12');
+
+function open() {
+    const dirname = path.dirname(sessionPath);
+    if (!fs.existsSync(dirname)) {
+        fs.mkdirSync(dirname, {recursive: true});
+    }
+    return new JSONdb(sessionPath);
+}
+
+/**
+ * Stored cookies for baseUrl that have not expired, or null when there is
+ * nothing worth trying.
+ */
+function load(baseUrl, now = Date.now()) {
+    const db = open();
+    const savedAt = Date.parse(db.get('savedAt'));
+    if (db.get('baseUrl') !== baseUrl || isNaN(savedAt) || now - savedAt > MAX_AGE_HOURS * 3600 * 1000) {
+        return null;
+    }
+    // Puppeteer gives expires in seconds, -1 for session cookies
+    const cookies = (db.get('cookies') || []).filter(cookie => !(cookie.expires > 0 && cookie.expires * 1000 <= now));
+    return cookies.length ? cookies : null;
+}
+
+function save(baseUrl, cookies) {
+    const db = open();
+    db.set('baseUrl', baseUrl);
+    db.set('savedAt', new Date().toISOString());
+    db.set('cookies', cookies);
+}
+
+function clear() {
+    const db = open();
+    db.JSON({});
+    db.sync();
+}
+
+// Cookie header for axios
+function header(cookies) {
+    return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+module.exports = {
+    load,
+    save,
+    clear,
+    header
+};
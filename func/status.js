@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const runs = require('./runs');
+const runLock = require('./runLock');
+const errorSet = require('./errorSet');
+const {configure} = require('./scraper');
+
+// The files of the last scrape, as the scraper wrote them to files.json
+function readFiles(dbPath) {
+    try {
+        const data = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+        return Array.isArray(data) ? data : Object.values(data);
+    } catch (e) {
+        return [];
+    }
+}
+
+function runSummary(run) {
+    return run ? {
+        id: run.id,
+        status: run.status,
+        trigger: run.trigger,
+        dates: run.dates,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        error: run.error
+    } : null;
+}
+
+// Counts from the files themselves, for files.json written before run history existed
+function countFiles(files, failed) {
+    const counts = {found: files.length + failed.length, downloaded: 0, unchanged: 0, skipped: 0, failed: failed.length};
+    for (const file of files) {
+        if (counts[file.status] !== undefined) {
+            counts[file.status]++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * What the last scrape produced: when it ran, which changelog dates it
+ * covered, how many rows succeeded or failed and the files themselves.
+ * Reads files.json from where the scraper writes it (options.dbPath).
+ */
+function status(options = configure()) {
+    const history = runs.list();
+    const lastRun = history.find(run => run.finishedAt);
+    const lastSuccess = history.find(run => run.status === 'success');
+    // Retries don't rewrite files.json; the last scrape of dates did
+    const lastScrape = history.find(run => run.status === 'success' && run.trigger !== 'retry');
+    const files = readFiles(options.dbPath);
+    const failed = errorSet.load();
+
+    return {
+        lastRun: runSummary(lastRun),
+        lastSuccess: runSummary(lastSuccess),
+        lastSuccessAt: lastSuccess ? lastSuccess.finishedAt : null,
+        dates: lastScrape ? lastScrape.dates : [...new Set(files.map(file => file.date))],
+        counts: lastScrape ? lastScrape.rows : countFiles(files, failed.rows),
+        failed: failed.rows.length,
+        failedAt: failed.updatedAt,
+        running: runLock.currentRun(),
+        files
+    };
+}
+
+// Strong validator for a status body, so pollers can send If-None-Match
+function etag(body) {
+    return '"' + crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url') + '"';
+}
+
+module.exports = {
+    status,
+    etag
+};
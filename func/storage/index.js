@@ -0,0 +1,33 @@
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+// STORAGE_DRIVER picks where downloaded archives are kept: "local" (default) or "s3"
+function createStorage(env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+    switch (driver) {
+        case 'local':
+            return createLocalStorage({
+                dir: env.DOWNLOAD_DIR,
+                baseUrl: env.DOWNLOAD_URL
+            });
+        case 's3':
+            return createS3Storage({
+                bucket: env.S3_BUCKET,
+                prefix: env.S3_PREFIX,
+                endpoint: env.S3_ENDPOINT,
+                region: env.S3_REGION,
+                accessKeyId: env.S3_ACCESS_KEY_ID,
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+                publicUrl: env.S3_PUBLIC_URL,
+                expiresIn: env.S3_URL_EXPIRES ? parseInt(env.S3_URL_EXPIRES, 10) : undefined
+            });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+}
+
+const storage = createStorage();
+
+module.exports = storage;
+module.exports.createStorage = createStorage;
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const {signedQuery} = require('../auth');
+
+function publicUrl(baseUrl, key) {
+    const query = signedQuery(key);
+    const suffix = encodeURIComponent(key) + (query ? '?' + query : '');
+    if (!baseUrl) {
+        return '/downloads/' + suffix;
+    }
+    // new URL keeps the "//" of https:// that path.join used to collapse
+    const base = baseUrl.endsWith('/') ? baseUrl : baseUrl + '/';
+    return new URL(suffix, base).href;
+}
+
+/**
+ * Archives kept on the local disk, served by express.static from public/.
+ */
+function createLocalStorage(options = {}) {
+    const dir = options.dir || path.join(__dirname, '..', '..', 'public', 'downloads');
+
+    return {
+        name: 'local',
+        // Downloads are written straight into the served directory
+        workDir: dir,
+
+        async put(localPath, key) {
+            const dest = path.join(dir, key);
+            if (path.resolve(localPath) !== path.resolve(dest)) {
+                fs.mkdirSync(dir, {recursive: true});
+                fs.copyFileSync(localPath, dest);
+                fs.unlinkSync(localPath);
+            }
+            return {key, location: dest};
+        },
+
+        async exists(key) {
+            return fs.existsSync(path.join(dir, key));
+        },
+
+        async remove(key) {
+            fs.rmSync(path.join(dir, key), {force: true});
+        },
+
+        async list() {
+            if (!fs.existsSync(dir)) {
+                return [];
+            }
+            const files = [];
+            for (const name of fs.readdirSync(dir)) {
+                const stat = fs.statSync(path.join(dir, name));
+                // Unfinished downloads (<name>.zip.part) aren't archives yet
+                if (stat.isFile() && name !== 'index.html' && !name.endsWith('.part')) {
+                    files.push({key: name, size: stat.size, modifiedAt: stat.mtime});
+                }
+            }
+            return files;
+        },
+
+        async url(key) {
+            return publicUrl(options.baseUrl, key);
+        }
+    };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+    GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const {getSignedUrl} = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Archives kept in an S3-compatible bucket (AWS, Spaces, MinIO). Links are
+ * presigned unless a public base URL for the bucket is configured.
+ */
+function createS3Storage(options = {}) {
+    if (!options.bucket) {
+        throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+    }
+    const prefix = options.prefix || '';
+    const expiresIn = options.expiresIn || 3600;
+    const client = new S3Client({
+        region: options.region || 'us-east-1',
+        endpoint: options.endpoint,
+        // MinIO and most stand-ins only understand path-style addressing
+        forcePathStyle: options.forcePathStyle,
+        credentials: options.accessKeyId ? {
+            accessKeyId: options.accessKeyId,
+            secretAccessKey: options.secretAccessKey
+        } : undefined
+    });
+    const objectKey = (key) => prefix + key;
+
+    return {
+        name: 's3',
+        // Local scratch space; files are uploaded and removed from here
+        workDir: options.workDir || path.join(os.tmpdir(), 'wp-downloads'),
+        client,
+
+        async put(localPath, key) {
+            await client.send(new PutObjectCommand({
+                Bucket: options.bucket,
+                Key: objectKey(key),
+                Body: fs.createReadStream(localPath),
+                ContentLength: fs.statSync(localPath).size,
+                ContentType: 'application/zip'
+            }));
+            fs.unlinkSync(localPath);
+            return {key, location: `s3://${options.bucket}/${objectKey(key)}`};
+        },
+
+        async exists(key) {
+            try {
+                await client.send(new HeadObjectCommand({Bucket: options.bucket, Key: objectKey(key)}));
+                return true;
+            } catch (e) {
+                if (e.name === 'NotFound' || (e.$metadata && e.$metadata.httpStatusCode === 404)) {
+                    return false;
+                }
+                throw e;
+            }
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({Bucket: options.bucket, Key: objectKey(key)}));
+        },
+
+        async list() {
+            const files = [];
+            let token;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: options.bucket,
+                    Prefix: prefix || undefined,
+                    ContinuationToken: token
+                }));
+                for (const object of page.Contents || []) {
+                    files.push({
+                        key: object.Key.slice(prefix.length),
+                        size: object.Size,
+                        modifiedAt: object.LastModified
+                    });
+                }
+                token = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (token);
+            return files;
+        },
+
+        async url(key) {
+            if (options.publicUrl) {
+                const base = options.publicUrl.endsWith('/') ? options.publicUrl : options.publicUrl + '/';
+                return new URL(encodeURIComponent(objectKey(key)).replace(/%2F/g, '/'), base).href;
+            }
+            return getSignedUrl(client, new GetObjectCommand({
+                Bucket: options.bucket,
+                Key: objectKey(key)
+            }), {expiresIn});
+        }
+    };
+}
+
+module.exports = createS3Storage;
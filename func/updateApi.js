@@ -0,0 +1,111 @@
+const catalog = require('./catalog');
+const storage = require('./storage');
+const {compareVersions} = require('./parseEntry');
+
+// Shaped after api.wordpress.org/plugins/update-check/1.1/ and
+// /plugins/info/1.2/ so a small updater plugin can point WordPress here.
+
+function latestVersion(plugin) {
+    return [...plugin.versions]
+        .filter(version => version.filename)
+        .sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+}
+
+/**
+ * Catalog entry for an installed plugin, by its main file ("foo/foo.php")
+ * or, failing that, by the folder name as slug.
+ */
+function findInstalled(file) {
+    const plugins = catalog.allPlugins();
+    const byFile = plugins.find(plugin => plugin.pluginFile === file);
+    if (byFile) {
+        return byFile;
+    }
+    const slug = file.split('/')[0].replace(/\.php$/, '');
+    return catalog.getPlugin(slug);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Notes are plain text, one change per line ("- Fixed ...")
+function notesHtml(notes) {
+    const lines = String(notes || '').split('\n').map(line => line.replace(/^-\s*/, '').trim()).filter(Boolean);
+    return lines.length ? `\n<ul>\n${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('\n')}\n</ul>` : '';
+}
+
+function changelogHtml(plugin) {
+    return [...plugin.versions]
+        .sort((a, b) => compareVersions(b.version, a.version))
+        .map(version => `<h4>${escapeHtml(version.version)}${version.date ? ' – ' + escapeHtml(version.date) : ''}</h4>${notesHtml(version.releaseNotes)}`)
+        .join('\n');
+}
+
+async function updateItem(file, plugin, version) {
+    return {
+        id: `wp-updates/${plugin.slug}`,
+        slug: plugin.slug,
+        plugin: file,
+        new_version: version.version,
+        url: plugin.productURL || '',
+        package: await storage.url(version.filename),
+        tested: '',
+        requires_php: '',
+        icons: {},
+        banners: {},
+        compatibility: {}
+    };
+}
+
+/**
+ * installed maps plugin files to {Version}, as WordPress sends them:
+ * {"foo/foo.php": {"Version": "1.0"}}. Plugins with something newer go under
+ * "plugins", the rest we know of under "no_update".
+ */
+async function checkUpdates(installed = {}) {
+    const result = {plugins: {}, no_update: {}, translations: []};
+    for (const [file, data] of Object.entries(installed)) {
+        const plugin = findInstalled(file);
+        const version = plugin && latestVersion(plugin);
+        if (!version) {
+            continue;
+        }
+        const current = (data && (data.Version || data.version)) || '0';
+        const item = await updateItem(file, plugin, version);
+        if (compareVersions(version.version, current) > 0) {
+            result.plugins[file] = item;
+        } else {
+            result.no_update[file] = item;
+        }
+    }
+    return result;
+}
+
+// plugin_information for one slug, or null if we don't have it
+async function pluginInfo(slug) {
+    const plugin = catalog.getPlugin(slug);
+    const version = plugin && latestVersion(plugin);
+    if (!version) {
+        return null;
+    }
+    return {
+        name: plugin.name,
+        slug: plugin.slug,
+        version: version.version,
+        homepage: plugin.productURL || '',
+        download_link: await storage.url(version.filename),
+        last_updated: version.recordedAt,
+        sections: {
+            changelog: changelogHtml(plugin)
+        },
+        versions: Object.fromEntries(await Promise.all(plugin.versions
+            .filter(v => v.filename)
+            .map(async v => [v.version, await storage.url(v.filename)])))
+    };
+}
+
+module.exports = {
+    checkUpdates,
+    pluginInfo
+};
@@ -0,0 +1,92 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const {sameVersion} = require('./parseEntry');
+
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+// Content types servers use for ZIP downloads; anything else (text/html in
+// particular) means we were handed a login or error page
+const ZIP_CONTENT_TYPES = [
+    'application/zip',
+    'application/x-zip',
+    'application/x-zip-compressed',
+    'application/octet-stream',
+    'application/force-download',
+    'application/download',
+    'binary/octet-stream'
+];
+
+function readMagic(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(4);
+        fs.readSync(fd, buffer, 0, 4, 0);
+        return buffer;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * The main plugin file: a PHP file at the top of the archive (or one folder
+ * down) whose header has "Plugin Name:". Resolves to {file, version}, e.g.
+ * {file: 'foo/foo.php', version: '1.2'}, or null if none is found.
+ */
+function pluginHeader(zip) {
+    const candidates = zip.getEntries().filter(entry =>
+        !entry.isDirectory && /\.php$/i.test(entry.entryName) && entry.entryName.split('/').length <= 2);
+    for (const entry of candidates) {
+        const header = entry.getData().subarray(0, 8192).toString('utf8');
+        if (!/^[ \t\/*#@]*Plugin Name:/im.test(header)) {
+            continue;
+        }
+        const match = header.match(/^[ \t\/*#@]*Version:\s*(\S+)/im);
+        return {file: entry.entryName, version: match ? match[1] : null};
+    }
+    return null;
+}
+
+/**
+ * Check a downloaded archive. Returns {valid, errors, pluginVersion, pluginFile}; errors
+ * lists every problem found, so a bad file can be reported rather than served.
+ */
+function verifyDownload(filePath, options = {}) {
+    const errors = [];
+    let pluginVersion = null;
+    let pluginFile = null;
+
+    const contentType = (options.contentType || '').split(';')[0].trim().toLowerCase();
+    if (contentType && !ZIP_CONTENT_TYPES.includes(contentType)) {
+        errors.push(`Unexpected Content-Type ${contentType}`);
+    }
+
+    if (!readMagic(filePath).equals(ZIP_MAGIC)) {
+        errors.push('Not a ZIP file (bad magic number)');
+        return {valid: false, errors, pluginVersion, pluginFile};
+    }
+
+    let zip;
+    try {
+        zip = new AdmZip(filePath);
+        zip.getEntries();
+    } catch (e) {
+        errors.push(`Unreadable ZIP central directory: ${e.message}`);
+        return {valid: false, errors, pluginVersion, pluginFile};
+    }
+
+    try {
+        const header = pluginHeader(zip);
+        if (header) {
+            pluginFile = header.file;
+            pluginVersion = header.version;
+        }
+    } catch (e) {
+        errors.push(`Could not read plugin header: ${e.message}`);
+    }
+    if (pluginVersion && options.version && !sameVersion(pluginVersion, options.version)) {
+        errors.push(`Plugin header Version ${pluginVersion} does not match changelog version ${options.version}`);
+    }
+
+    return {valid: errors.length === 0, errors, pluginVersion, pluginFile};
+}
+
+module.exports = verifyDownload;
@@ -0,0 +1,106 @@
+const JSONdb = require('simple-json-db');
+const crypto = require('crypto');
+const path = require('path');
+
+// Which changelog entries get downloaded. The file can be edited by hand or
+// through the /watchlist endpoints:
+// {"rules": [{"id": "...", "type": "include", "field": "slug", "pattern": "woo-*"}]}
+const watchlistPath = process.env.WATCHLIST_PATH || path.join(__dirname, 'watchlist.json');
+
+const TYPES = ['include', 'exclude'];
+const FIELDS = ['slug', 'productId', 'name'];
+
+function open() {
+    return new JSONdb(watchlistPath);
+}
+
+function rules() {
+    return open().get('rules') || [];
+}
+
+function save(list) {
+    open().set('rules', list);
+}
+
+/**
+ * Validated copy of a rule. Patterns are exact values, globs with * or, for
+ * names, /regular expressions/; matching ignores case.
+ */
+function validate(rule) {
+    if (!rule || !TYPES.includes(rule.type)) {
+        throw new Error(`type must be one of ${TYPES.join(', ')}`);
+    }
+    if (!FIELDS.includes(rule.field)) {
+        throw new Error(`field must be one of ${FIELDS.join(', ')}`);
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+        throw new Error('pattern is required');
+    }
+    toRegExp(rule.pattern);
+    return {type: rule.type, field: rule.field, pattern: rule.pattern.trim()};
+}
+
+function toRegExp(pattern) {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        try {
+            return new RegExp(regex[1], regex[2].includes('i') ? regex[2] : regex[2] + 'i');
+        } catch (e) {
+            throw new Error(`Invalid pattern ${pattern}: ${e.message}`);
+        }
+    }
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matches(rule, entry) {
+    const value = rule.field === 'name' ? (entry.name || entry.productName) : entry[rule.field];
+    return value !== undefined && value !== null && toRegExp(rule.pattern).test(String(value));
+}
+
+/**
+ * Whether entry should be downloaded: it must match an include rule (when
+ * there are any) and no exclude rule. An empty watchlist watches everything.
+ */
+function isWatched(entry, list = rules()) {
+    const includes = list.filter(rule => rule.type === 'include');
+    if (includes.length && !includes.some(rule => matches(rule, entry))) {
+        return false;
+    }
+    return !list.some(rule => rule.type === 'exclude' && matches(rule, entry));
+}
+
+function addRule(rule) {
+    const added = Object.assign({id: crypto.randomUUID()}, validate(rule));
+    save([...rules(), added]);
+    return added;
+}
+
+function updateRule(id, rule) {
+    const list = rules();
+    const index = list.findIndex(r => r.id === id);
+    if (index === -1) {
+        return null;
+    }
+    list[index] = Object.assign({id}, validate(Object.assign({}, list[index], rule)));
+    save(list);
+    return list[index];
+}
+
+function removeRule(id) {
+    const list = rules();
+    const remaining = list.filter(r => r.id !== id);
+    if (remaining.length === list.length) {
+        return false;
+    }
+    save(remaining);
+    return true;
+}
+
+module.exports = {
+    rules,
+    isWatched,
+    addRule,
+    updateRule,
+    removeRule
+};
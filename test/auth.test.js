@@ -0,0 +1,142 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-auth-test-'));
+process.env.FILES_PATH = path.join(tmp, 'files.json');
+process.env.RUNS_PATH = path.join(tmp, 'runs.json');
+process.env.ERRORS_PATH = path.join(tmp, 'errors.json');
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.DELIVERIES_PATH = path.join(tmp, 'deliveries.json');
+process.env.ACCESS_LOG = path.join(tmp, 'access.log');
+process.env.DOWNLOAD_DIR = path.join(tmp, 'downloads');
+process.env.DATA_CSV_PATH = path.join(tmp, 'data.csv');
+process.env.ERROR_CSV_PATH = path.join(tmp, 'error.csv');
+delete process.env.DOWNLOAD_URL;
+
+const auth = require('../func/auth');
+const app = require('../app');
+
+const KEYS = 'viewer:view-key:read,runner:run-key:read+refresh,root:root-key:admin';
+const SECRET = 'link-secret';
+
+// Raw request paths, so "//downloads" and "%64ownloads" reach the server as written
+function get(base, requestPath, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get(base + requestPath, {headers}, (res) => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({status: res.statusCode, body}));
+        }).on('error', reject);
+    });
+}
+
+describe('auth', () => {
+    let server;
+    let base;
+
+    before(async () => {
+        fs.mkdirSync(process.env.DOWNLOAD_DIR, {recursive: true});
+        fs.writeFileSync(path.join(process.env.DOWNLOAD_DIR, 'foo-1.0.zip'), 'PREMIUM ZIP');
+        fs.writeFileSync(process.env.DATA_CSV_PATH, '"slug"\n"foo"\n');
+        fs.writeFileSync(process.env.ERROR_CSV_PATH, '"slug"\n"bar"\n');
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        auth.configure();
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    describe('without API_KEYS', () => {
+        before(() => auth.configure({}));
+
+        it('refuses protected endpoints and downloads', async () => {
+            for (const url of ['/status', '/plugins', '/refresh?date=2024-06-01', '/downloads/foo-1.0.zip', '/data.csv']) {
+                const response = await get(base, url);
+                assert.strictEqual(response.status, 503, url);
+                assert.match(JSON.parse(response.body).message, /AUTH_DISABLED=true/);
+            }
+        });
+
+        it('opens everything with AUTH_DISABLED=true', async () => {
+            auth.configure({AUTH_DISABLED: 'true'});
+            assert.strictEqual((await get(base, '/downloads/foo-1.0.zip')).body, 'PREMIUM ZIP');
+        });
+    });
+
+    describe('with API_KEYS', () => {
+        before(() => auth.configure({API_KEYS: KEYS, DOWNLOAD_SIGNING_SECRET: SECRET}));
+
+        it('serves the dashboard page without a key', async () => {
+            for (const url of ['/', '/index.html']) {
+                const response = await get(base, url);
+                assert.strictEqual(response.status, 200, url);
+                assert.match(response.body, /<title>Plugin updates<\/title>/);
+            }
+        });
+
+        it('answers 401 without a key or with an unknown one', async () => {
+            assert.strictEqual((await get(base, '/plugins')).status, 401);
+            assert.strictEqual((await get(base, '/plugins', {'X-API-Key': 'nope'})).status, 401);
+        });
+
+        it('accepts the key as X-API-Key or as a Bearer token', async () => {
+            assert.strictEqual((await get(base, '/plugins', {'X-API-Key': 'view-key'})).status, 200);
+            assert.strictEqual((await get(base, '/plugins', {Authorization: 'Bearer view-key'})).status, 200);
+        });
+
+        it('answers 403 when the key lacks the scope, and admin covers every scope', async () => {
+            const refresh = (key) => get(base, '/refresh?date=foo', {'X-API-Key': key});
+            assert.strictEqual((await refresh('view-key')).status, 403);
+            assert.match(JSON.parse((await refresh('view-key')).body).message, /lacks the refresh scope/);
+            // Past the key check, the bad date is what fails
+            assert.strictEqual((await refresh('run-key')).status, 400);
+            assert.strictEqual((await refresh('root-key')).status, 400);
+        });
+
+        it('keeps archives and reports behind the key, however the path is spelled', async () => {
+            for (const url of ['/downloads/foo-1.0.zip', '//downloads/foo-1.0.zip', '/%64ownloads/foo-1.0.zip',
+                '/data.csv', '//data.csv', '/%64ata.csv', '/error.csv', '//error.csv', '/downloads/../data.csv']) {
+                const response = await get(base, url);
+                assert.notStrictEqual(response.status, 200, url);
+                assert.ok(!/PREMIUM ZIP|"foo"|"bar"/.test(response.body), url);
+            }
+            assert.strictEqual((await get(base, '/downloads/foo-1.0.zip', {'X-API-Key': 'view-key'})).body, 'PREMIUM ZIP');
+            assert.strictEqual((await get(base, '/data.csv', {'X-API-Key': 'view-key'})).body, '"slug"\n"foo"\n');
+            assert.strictEqual((await get(base, '/error.csv', {'X-API-Key': 'view-key'})).body, '"slug"\n"bar"\n');
+        });
+
+        it('accepts a signed download link without a key', async () => {
+            const query = auth.signedQuery('foo-1.0.zip');
+            const response = await get(base, `/downloads/foo-1.0.zip?${query}`);
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body, 'PREMIUM ZIP');
+        });
+
+        it('refuses expired, tampered and foreign signatures', async () => {
+            const expired = auth.signedQuery('foo-1.0.zip', -60);
+            assert.strictEqual((await get(base, `/downloads/foo-1.0.zip?${expired}`)).status, 401);
+
+            const params = new URLSearchParams(auth.signedQuery('foo-1.0.zip'));
+            const later = new URLSearchParams(params);
+            later.set('expires', String(parseInt(params.get('expires'), 10) + 3600));
+            assert.strictEqual((await get(base, `/downloads/foo-1.0.zip?${later}`)).status, 401);
+
+            const flipped = new URLSearchParams(params);
+            const signature = params.get('signature');
+            flipped.set('signature', (signature[0] === 'a' ? 'b' : 'a') + signature.slice(1));
+            assert.strictEqual((await get(base, `/downloads/foo-1.0.zip?${flipped}`)).status, 401);
+
+            // A link signed for another file doesn't open this one
+            const other = auth.signedQuery('bar-1.0.zip');
+            assert.strictEqual((await get(base, `/downloads/foo-1.0.zip?${other}`)).status, 401);
+        });
+    });
+});
@@ -0,0 +1,40 @@
+const {describe, it, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-catalog-test-'));
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.DOWNLOAD_DIR = tmp;
+
+const catalog = require('../func/catalog');
+
+after(() => {
+    fs.rmSync(tmp, {recursive: true, force: true});
+});
+
+describe('catalog', () => {
+    it('keeps two products with the same slug apart', async () => {
+        fs.writeFileSync(path.join(tmp, 'foo-1.0.zip'), 'one');
+        await catalog.recordDownload({slug: 'foo', productId: '1', name: 'Foo One', version: '1.0', filename: 'foo-1.0.zip', id: '1'});
+
+        assert.strictEqual(await catalog.findDownloaded({slug: 'foo', productId: '2', version: '1.0'}), null);
+        assert.strictEqual((await catalog.findDownloaded({slug: 'foo', productId: '1', version: '1.0'})).filename, 'foo-1.0.zip');
+
+        await catalog.recordDownload({slug: 'foo', productId: '2', name: 'Foo Two', version: '1.0', filename: 'foo-1.0-2.zip', id: '2'});
+        assert.strictEqual(catalog.findPlugin({slug: 'foo', productId: '1'}).name, 'Foo One');
+        assert.strictEqual(catalog.findPlugin({slug: 'foo', productId: '2'}).name, 'Foo Two');
+        assert.strictEqual(catalog.findPlugin({slug: 'foo', productId: '2'}).slug, 'foo');
+        assert.deepStrictEqual(catalog.findPlugin({slug: 'foo', productId: '1'}).versions.map(v => v.filename), ['foo-1.0.zip']);
+    });
+
+    it('keeps the highest version as latest, whatever the order they come in', async () => {
+        await catalog.recordDownloads([
+            {slug: 'baz', productId: '9', version: '1.2', filename: 'baz-1.2.zip', id: '3'},
+            {slug: 'baz', productId: '9', version: '1.10', filename: 'baz-1.10.zip', id: '4'},
+            {slug: 'baz', productId: '9', version: '1.1', filename: 'baz-1.1.zip', id: '5'}
+        ]);
+        assert.strictEqual(catalog.getPlugin('baz').latestVersion, '1.10');
+    });
+});
@@ -0,0 +1,29 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+
+// West of UTC and with a DST change in the range, where UTC parsing goes wrong
+process.env.TZ = 'America/New_York';
+
+const {parseDate, parseDateRange, formatChangelogDate} = require('../func/dateRange');
+
+const days = (query) => parseDateRange(query).map(formatChangelogDate);
+
+describe('parseDateRange', () => {
+    it('reads YYYY-MM-DD as the local day', () => {
+        assert.deepStrictEqual(days({from: '2024-06-01', to: '2024-06-03'}), ['June 1, 2024', 'June 2, 2024', 'June 3, 2024']);
+        assert.strictEqual(formatChangelogDate(parseDate('2024-06-01', 'date')), 'June 1, 2024');
+    });
+
+    it('steps by calendar day across a DST change', () => {
+        assert.deepStrictEqual(days({from: '2024-11-01', to: '2024-11-05'}), [
+            'November 1, 2024', 'November 2, 2024', 'November 3, 2024', 'November 4, 2024', 'November 5, 2024'
+        ]);
+        assert.deepStrictEqual(days({to: '2024-03-11', days: '3'}), ['March 9, 2024', 'March 10, 2024', 'March 11, 2024']);
+    });
+
+    it('rejects dates it cannot read', () => {
+        assert.throws(() => parseDate('foo', 'date'), /Invalid date: foo/);
+        assert.throws(() => parseDate('2024-02-30', 'date'), /Invalid date: 2024-02-30/);
+        assert.throws(() => parseDateRange({from: '2024-06-03', to: '2024-06-01'}), /from must not be after to/);
+    });
+});
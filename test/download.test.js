@@ -0,0 +1,148 @@
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-download-test-'));
+
+const downloadFile = require('../func/download');
+
+const FILE = Buffer.from('PK'.padEnd(1000, 'x'));
+const quiet = {info() {}, warn() {}, error() {}, debug() {}};
+
+// Local file server; handler(req, res, n) answers the n-th request (from 1)
+function startServer() {
+    const server = http.createServer((req, res) => {
+        server.requests.push({range: req.headers.range});
+        server.handler(req, res, server.requests.length);
+    });
+    server.requests = [];
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function sendFile(res) {
+    res.writeHead(200, {'Content-Length': FILE.length});
+    res.end(FILE);
+}
+
+// Send the first half, then drop the connection
+function sendHalf(res) {
+    res.writeHead(200, {'Content-Length': FILE.length});
+    res.write(FILE.subarray(0, FILE.length / 2));
+    setTimeout(() => res.socket.destroy(), 20);
+}
+
+function sendRest(req, res, start = parseInt(/bytes=(\d+)-/.exec(req.headers.range)[1], 10)) {
+    res.writeHead(206, {
+        'Content-Length': FILE.length - start,
+        'Content-Range': `bytes ${start}-${FILE.length - 1}/${FILE.length}`
+    });
+    res.end(FILE.subarray(start));
+}
+
+describe('downloadFile', () => {
+    let server;
+    let url;
+    let target;
+
+    before(async () => {
+        server = await startServer();
+        url = `http://127.0.0.1:${server.address().port}/file.zip`;
+    });
+
+    beforeEach(() => {
+        server.requests = [];
+        target = path.join(tmp, `file-${Date.now()}-${Math.random()}.zip`);
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    const download = (options = {}) => downloadFile(url, target, Object.assign({retries: 3, backoff: 10, log: quiet}, options));
+
+    it('retries server errors with growing delays', async () => {
+        const times = [];
+        server.handler = (req, res, n) => {
+            times.push(Date.now());
+            if (n < 3) {
+                res.statusCode = 503;
+                return res.end();
+            }
+            return sendFile(res);
+        };
+        const result = await download({backoff: 50});
+        assert.strictEqual(result.attempts, 3);
+        assert.deepStrictEqual(fs.readFileSync(target), FILE);
+        assert.ok(!fs.existsSync(target + '.part'));
+        assert.ok(times[1] - times[0] >= 45);
+        assert.ok(times[2] - times[1] >= 95);
+    });
+
+    it('gives up at once on a client error', async () => {
+        server.handler = (req, res) => {
+            res.statusCode = 404;
+            res.end();
+        };
+        await assert.rejects(download(), /status code 404/);
+        assert.strictEqual(server.requests.length, 1);
+    });
+
+    it('resumes a broken transfer with a Range request', async () => {
+        server.handler = (req, res, n) => (n === 1 ? sendHalf(res) : sendRest(req, res));
+        const result = await download();
+        assert.strictEqual(result.resumed, true);
+        assert.deepStrictEqual(server.requests.map(r => r.range), [undefined, `bytes=${FILE.length / 2}-`]);
+        assert.deepStrictEqual(fs.readFileSync(target), FILE);
+    });
+
+    it('starts over when the server answers the Range with 200', async () => {
+        server.handler = (req, res, n) => (n === 1 ? sendHalf(res) : sendFile(res));
+        const result = await download();
+        assert.strictEqual(result.resumed, false);
+        assert.deepStrictEqual(fs.readFileSync(target), FILE);
+    });
+
+    it('drops the partial file on 416 and downloads it again', async () => {
+        server.handler = (req, res, n) => {
+            if (n === 1) {
+                return sendHalf(res);
+            }
+            if (n === 2) {
+                res.statusCode = 416;
+                return res.end();
+            }
+            return sendFile(res);
+        };
+        await download();
+        assert.deepStrictEqual(server.requests.map(r => r.range), [undefined, `bytes=${FILE.length / 2}-`, undefined]);
+        assert.deepStrictEqual(fs.readFileSync(target), FILE);
+    });
+
+    it("doesn't append a 206 that starts somewhere else", async () => {
+        server.handler = (req, res, n) => {
+            if (n === 1) {
+                return sendHalf(res);
+            }
+            if (n === 2) {
+                return sendRest(req, res, 100);
+            }
+            return sendFile(res);
+        };
+        const result = await download();
+        assert.strictEqual(result.resumed, false);
+        assert.strictEqual(server.requests.length, 3);
+        assert.strictEqual(server.requests[2].range, undefined);
+        assert.deepStrictEqual(fs.readFileSync(target), FILE);
+    });
+
+    it('keeps the partial file when every attempt fails', async () => {
+        server.handler = (req, res) => sendHalf(res);
+        await assert.rejects(download({retries: 1}));
+        assert.ok(fs.existsSync(target + '.part'));
+        assert.ok(!fs.existsSync(target));
+    });
+});
@@ -0,0 +1,72 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-export-test-'));
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.DOWNLOAD_DIR = path.join(tmp, 'downloads');
+process.env.DOWNLOAD_URL = 'https://files.example.com/downloads/';
+
+const catalog = require('../func/catalog');
+const exporter = require('../func/export');
+
+describe('export', () => {
+    before(async () => {
+        await catalog.recordDownload({slug: 'alpha-forms', productId: '11', name: 'Alpha Forms', version: '1.1', date: 'June 1, 2024', filename: 'alpha-forms-1.1.zip', id: '1'});
+        await catalog.recordDownload({slug: 'alpha-forms', productId: '11', name: 'Alpha Forms', version: '1.2', date: 'June 3, 2024', filename: 'alpha-forms-1.2.zip', id: '2', releaseNotes: '- Fixed uploads'});
+        await catalog.recordDownload({slug: 'beta-seo', productId: '12', name: 'Beta "SEO"\tPro', version: '2.0', date: 'June 2, 2024', filename: '', id: '3'});
+    });
+
+    after(() => {
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('collects stored versions newest first', async () => {
+        const rows = await exporter.collect();
+        assert.deepStrictEqual(rows.map(row => row.sourceId), ['2', '3', '1']);
+        assert.strictEqual(rows[0].fileUrl, 'https://files.example.com/downloads/alpha-forms-1.2.zip');
+        assert.strictEqual(rows[0].releaseNotes, '- Fixed uploads');
+        assert.strictEqual(rows[1].status, 'skipped');
+        assert.strictEqual(rows[1].fileUrl, '');
+    });
+
+    it('limits rows to the date range', async () => {
+        const rows = await exporter.collect(exporter.parseQuery({from: '2024-06-01', to: '2024-06-02'}));
+        assert.deepStrictEqual(rows.map(row => row.sourceId), ['3', '1']);
+    });
+
+    it('rejects bad queries', () => {
+        assert.throws(() => exporter.parseQuery({format: 'xlsx'}), /Unknown format xlsx/);
+        assert.throws(() => exporter.parseQuery({from: 'soon'}), /Invalid from: soon/);
+        assert.throws(() => exporter.parseQuery({from: '2024-06-03', to: '2024-06-01'}), /from must not be after to/);
+        assert.throws(() => exporter.parseQuery({columns: 'slug,colour'}), /Unknown columns: colour/);
+    });
+
+    it('writes CSV and TSV with the selected columns', async () => {
+        const rows = await exporter.collect({from: '2024-06-02', to: '2024-06-02'});
+        const {columns} = exporter.parseQuery({columns: 'name,version'});
+        assert.strictEqual(exporter.render('csv', rows, {columns}), '"name","version"\n"Beta ""SEO""\tPro","2.0"\n');
+        assert.strictEqual(exporter.render('tsv', rows, {columns}), 'name\tversion\nBeta "SEO" Pro\t2.0\n');
+    });
+
+    it('writes JSON and one object per line for NDJSON', async () => {
+        const rows = await exporter.collect();
+        assert.deepStrictEqual(JSON.parse(exporter.render('json', rows)), rows);
+        const lines = exporter.render('ndjson', rows).trim().split('\n');
+        assert.deepStrictEqual(lines.map(line => JSON.parse(line)), rows);
+    });
+
+    it('writes RSS and Atom feeds of the updates', async () => {
+        const rows = await exporter.collect({from: '2024-06-03'});
+        const rss = exporter.render('rss', rows, {link: 'https://wp.example.com/export?format=rss'});
+        assert.match(rss, /<rss version="2.0">/);
+        assert.match(rss, /<title>Alpha Forms 1.2<\/title>/);
+        assert.match(rss, /<link>https:\/\/files.example.com\/downloads\/alpha-forms-1.2.zip<\/link>/);
+        const atom = exporter.render('atom', rows, {link: 'https://wp.example.com/export?format=atom&amp=1'});
+        assert.match(atom, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+        assert.match(atom, /<id>urn:wp-updates:alpha-forms:1.2<\/id>/);
+        assert.match(atom, /format=atom&amp;amp=1/);
+    });
+});
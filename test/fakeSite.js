@@ -0,0 +1,175 @@
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const AdmZip = require('adm-zip');
+
+// A stand-in for the realgpl.com login, changelog and downloads, enough
+// for the scraper to run end to end without the network.
+
+const USERNAME = 'tester';
+const PASSWORD = 'secret';
+const SESSION = 'fake-session-token';
+
+// kind: zip (valid plugin), html (error page instead of the file),
+// missing (404) or nolink (row without a download link)
+const defaultProducts = [
+    {id: '101', title: 'Alpha Forms v1.2.3', date: 'June 3, 2024', slug: 'alpha-forms', productId: '11', version: '1.2.3', kind: 'zip'},
+    {id: '102', title: 'Beta SEO v2.0', date: 'June 3, 2024', slug: 'beta-seo', productId: '12', version: '2.0', kind: 'zip'},
+    {id: '103', title: 'Gamma Cache v3.1', date: 'June 3, 2024', slug: 'gamma-cache', productId: '13', version: '3.1', kind: 'html'},
+    {id: '104', title: 'Delta Shop v4.0.1', date: 'June 2, 2024', slug: 'delta-shop', productId: '14', version: '4.0.1', kind: 'zip'},
+    {id: '105', title: 'Epsilon Gone v5.0', date: 'June 2, 2024', slug: 'epsilon-gone', productId: '15', version: '5.0', kind: 'missing'},
+    {id: '106', title: 'Zeta Nolink v6.0', date: 'June 2, 2024', slug: 'zeta-nolink', productId: '16', version: '6.0', kind: 'nolink'},
+    {id: '107', title: 'Eta Old v7.0', date: 'June 1, 2024', slug: 'eta-old', productId: '17', version: '7.0', kind: 'zip'},
+];
+
+function pluginZip(product) {
+    const zip = new AdmZip();
+    const title = product.title.replace(/ v[\d.]+$/, '');
+    zip.addFile(`${product.slug}/${product.slug}.php`, Buffer.from(
+        `<?php\n/**\n * Plugin Name: ${title}\n * Version: ${product.version}\n */\n`));
+    zip.addFile(`${product.slug}/readme.txt`, Buffer.from(`=== ${title} ===\n`));
+    return zip.toBuffer();
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+function loginForm(error) {
+    return page('My account', `
+        <div class="fc-consent-root" id="consent">
+            <button class="fc-button" onclick="document.getElementById('consent').remove()">
+                <p class="fc-button-label">Consent</p>
+            </button>
+        </div>
+        ${error ? `<ul class="woocommerce-error" role="alert"><li>${error}</li></ul>` : ''}
+        <form class="woocommerce-form woocommerce-form-login login" method="post" action="/my-account/">
+            <input type="text" name="username" id="username">
+            <input type="password" name="password" id="password">
+            <button type="submit" class="button woocommerce-button woocommerce-form-login__submit" name="login" value="Log in">Log in</button>
+        </form>`);
+}
+
+function changelogRow(product, baseUrl) {
+    const link = product.kind === 'nolink'
+        ? '<span>Members only</span>'
+        : `<a href="${baseUrl}/download/${product.id}/">Download</a>`;
+    return `
+        <tr class="awcpt-row" data-id="${product.id}">
+            <td class="awcpt-prdTitle-col"><a href="${baseUrl}/product/${product.slug}/?product_id=${product.productId}"><span class="awcpt-title">${product.title}</span></a></td>
+            <td><span class="awcpt-date">${product.date}</span></td>
+            <td><div class="awcpt-shortcode-wrap">${link}</div></td>
+        </tr>`;
+}
+
+/**
+ * Express app for the fake site. state counts requests so tests can assert
+ * how often something was fetched; setting state.session to null expires
+ * the current login.
+ */
+function createFakeSite(options = {}) {
+    const products = options.products || defaultProducts;
+    const state = {logins: 0, changelogPages: 0, productPages: 0, downloads: {}, session: SESSION};
+    const app = express();
+    app.use(express.urlencoded({extended: false}));
+    app.use(cookieParser());
+
+    const baseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+    const loggedIn = (req) => !!state.session && req.cookies.wordpress_logged_in === state.session;
+
+    app.get('/my-account/', (req, res) => {
+        if (loggedIn(req)) {
+            return res.send(page('My account', '<div class="woocommerce-MyAccount-content">Hello tester</div>'));
+        }
+        return res.send(loginForm());
+    });
+
+    app.post('/my-account/', (req, res) => {
+        if (req.body.username !== USERNAME || req.body.password !== PASSWORD) {
+            return res.send(loginForm('<strong>Error:</strong> The username or password you entered is incorrect.'));
+        }
+        state.logins++;
+        if (!state.session) {
+            state.session = `${SESSION}-${state.logins}`;
+        }
+        res.cookie('wordpress_logged_in', state.session, {path: '/', httpOnly: true});
+        return res.redirect('/my-account/');
+    });
+
+    app.get('/changelog/', (req, res) => {
+        state.changelogPages++;
+        const perPage = parseInt(req.query['99936_results_per_page'] || '10', 10);
+        const current = parseInt(req.query['99936_paged'] || '1', 10);
+        const rows = products.slice((current - 1) * perPage, current * perPage);
+        const pages = Math.ceil(products.length / perPage);
+        const next = current < pages
+            ? `<a class="next page-numbers" href="/changelog/?99936_results_per_page=${perPage}&99936_paged=${current + 1}">Next</a>`
+            : '';
+        return res.send(page('Changelog', `
+            <table class="awcpt-table"><tbody>
+                ${rows.map(product => changelogRow(product, baseUrl(req))).join('')}
+            </tbody></table>
+            <nav class="awcpt-pagination">${next}</nav>`));
+    });
+
+    // Product page with a changelog tab: this version and the one before
+    app.get('/product/:slug/', (req, res) => {
+        state.productPages++;
+        const product = products.find(p => p.slug === req.params.slug);
+        if (!product) {
+            return res.status(404).send(page('Not found', 'Nothing here'));
+        }
+        return res.send(page(product.title, `
+            <div class="summary"><p>The best ${product.slug} plugin, version ${product.version} &amp; more.</p></div>
+            <div class="woocommerce-Tabs-panel" id="tab-changelog">
+                <h4>Version ${product.version} &ndash; ${product.date}</h4>
+                <ul><li>Fixed ${product.slug} settings &lt;not&gt; saving</li><li>Tested up to WordPress 6.5</li></ul>
+                <h4>Version 0.9.0</h4>
+                <ul><li>First release</li></ul>
+            </div>`));
+    });
+
+    app.get('/download/:id/', (req, res) => {
+        const product = products.find(p => p.id === req.params.id);
+        state.downloads[req.params.id] = (state.downloads[req.params.id] || 0) + 1;
+        if (!loggedIn(req)) {
+            // Like the real site: a login page with a 200, not an error status
+            return res.send(loginForm());
+        }
+        if (!product || product.kind === 'missing') {
+            return res.status(404).send(page('Not found', 'Nothing here'));
+        }
+        if (product.kind === 'html') {
+            return res.send(page('Error', '<p>Download limit reached</p>'));
+        }
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="${product.slug}.zip"`);
+        return res.send(pluginZip(product));
+    });
+
+    app.locals.state = state;
+    return app;
+}
+
+// Listen on a free port; resolves with {url, state, close}
+function startFakeSite(options = {}) {
+    const app = createFakeSite(options);
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                state: app.locals.state,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = {
+    USERNAME,
+    PASSWORD,
+    SESSION,
+    defaultProducts,
+    pluginZip,
+    createFakeSite,
+    startFakeSite
+};
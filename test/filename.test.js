@@ -0,0 +1,67 @@
+const {describe, it, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-filename-test-'));
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.DOWNLOAD_DIR = tmp;
+
+const {sanitize, filenameFor, createFilenamer} = require('../func/filename');
+const catalog = require('../func/catalog');
+
+describe('filenameFor', () => {
+    it('combines slug and version', () => {
+        assert.strictEqual(filenameFor({slug: 'alpha-forms', version: '1.2.3'}), 'alpha-forms-1.2.3.zip');
+        assert.strictEqual(filenameFor({slug: 'alpha-forms', version: ''}), 'alpha-forms.zip');
+    });
+
+    it('strips download- prefixes and -download suffixes', () => {
+        assert.strictEqual(filenameFor({slug: 'download-foo', version: '1.0'}), 'foo-1.0.zip');
+        assert.strictEqual(filenameFor({slug: 'foo-download', version: '1.0'}), 'foo-1.0.zip');
+    });
+
+    it('removes unsafe characters', () => {
+        assert.strictEqual(sanitize('../../etc/passwd'), 'etc-passwd');
+        assert.strictEqual(filenameFor({slug: 'foo bar/baz', version: '5.0 beta'}), 'foo-bar-baz-5.0-beta.zip');
+        assert.strictEqual(filenameFor({slug: '', productId: '12', version: '1'}), 'product-12-1.zip');
+    });
+});
+
+describe('createFilenamer', () => {
+    it('gives the same link the same name and others a new one', () => {
+        const assign = createFilenamer();
+        const a = {slug: 'foo', version: '1.0', productId: '1', downloadLink: 'https://x/1'};
+        const b = {slug: 'foo', version: '1.0', productId: '2', downloadLink: 'https://x/2'};
+        assert.strictEqual(assign(a), 'foo-1.0.zip');
+        assert.strictEqual(assign(a), 'foo-1.0.zip');
+        assert.strictEqual(assign(b), 'foo-1.0-2.zip');
+    });
+
+    it('avoids names the catalog holds for another product', async () => {
+        await catalog.recordDownload({slug: 'bar', productId: '7', version: '2.0', filename: 'bar-2.0.zip', id: '1'});
+        const assign = createFilenamer();
+        assert.strictEqual(assign({slug: 'bar', productId: '8', version: '2.0', downloadLink: 'https://x/8'}), 'bar-2.0-8.zip');
+        assert.strictEqual(assign({slug: 'bar', productId: '7', version: '2.0', downloadLink: 'https://x/7'}), 'bar-2.0.zip');
+    });
+
+    it('keeps version and suffix on long slugs', () => {
+        const slug = 'a'.repeat(130);
+        const name = filenameFor({slug, version: '1.0'}, '2');
+        assert.ok(name.endsWith('-1.0-2.zip'));
+        assert.ok(name.length <= 120 + '.zip'.length);
+
+        const assign = createFilenamer();
+        const first = assign({slug, version: '1.0', productId: '1', downloadLink: 'https://x/long-1'});
+        const second = assign({slug, version: '1.0', productId: '2', downloadLink: 'https://x/long-2'});
+        const third = assign({slug, version: '1.0', productId: '2', downloadLink: 'https://x/long-3'});
+        assert.notStrictEqual(first, second);
+        assert.ok(second.endsWith('-1.0-2.zip'));
+        assert.ok(third.endsWith('-1.0-2-2.zip'));
+    });
+});
+
+after(() => {
+    fs.rmSync(tmp, {recursive: true, force: true});
+});
@@ -0,0 +1,76 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-jobs-test-'));
+process.env.FILES_PATH = path.join(tmp, 'files.json');
+process.env.RUNS_PATH = path.join(tmp, 'runs.json');
+process.env.ERRORS_PATH = path.join(tmp, 'errors.json');
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.DELIVERIES_PATH = path.join(tmp, 'deliveries.json');
+process.env.AUTH_DISABLED = 'true';
+
+const scraper = require('../func/scraper');
+const errorSet = require('../func/errorSet');
+const jobs = require('../func/jobs');
+const app = require('../app');
+
+describe('POST /retry-errors', () => {
+    let server;
+    let base;
+
+    before(async () => {
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('has nothing to do without failed rows', async () => {
+        errorSet.save([]);
+        const response = await fetch(`${base}/retry-errors`, {method: 'POST'});
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual((await response.json()).message, 'No failed files to retry');
+    });
+
+    it('queues a job that retries the failed rows of the last run', async (t) => {
+        const rows = [
+            {id: '103', productName: 'Gamma Cache v3.1', downloadLink: 'https://x/103', error: 'Not a ZIP file'},
+            {id: '105', productName: 'Epsilon Gone v5.0', downloadLink: 'https://x/105', error: '404'}
+        ];
+        errorSet.save(rows);
+        const calls = [];
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        t.mock.method(scraper, 'run', async (options) => {
+            calls.push(options);
+            await gate;
+            options.onProgress({phase: 'download', current: 0, total: 2, entries: options.entries});
+            return [Object.assign({}, rows[0], {status: 'downloaded'})];
+        });
+
+        const response = await fetch(`${base}/retry-errors`, {method: 'POST'});
+        assert.strictEqual(response.status, 202);
+        const {jobId, url} = await response.json();
+        assert.strictEqual(url, `/jobs/${jobId}`);
+
+        // A second request while it is queued or running joins the same job
+        const again = await (await fetch(`${base}/retry-errors`, {method: 'POST'})).json();
+        assert.strictEqual(again.jobId, jobId);
+        release();
+
+        const job = await jobs.waitFor(jobId);
+        assert.strictEqual(job.status, 'completed');
+        assert.strictEqual(calls.length, 1);
+        assert.strictEqual(calls[0].trigger, 'retry');
+        assert.deepStrictEqual(calls[0].entries.map(entry => entry.id), ['103', '105']);
+        assert.strictEqual(job.params.rows, 2);
+        assert.deepStrictEqual(job.files.map(file => file.id), ['103', '105']);
+    });
+});
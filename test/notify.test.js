@@ -0,0 +1,162 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const {SMTPServer} = require('smtp-server');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-notify-test-'));
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.DELIVERIES_PATH = path.join(tmp, 'deliveries.json');
+
+const notify = require('../func/notify');
+const catalog = require('../func/catalog');
+
+const SECRET = 'hook-secret';
+
+// Local HTTP sink: fails the first `failures` requests, records the rest
+function startSink(failures = 0) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            if (failures-- > 0) {
+                res.statusCode = 503;
+                return res.end();
+            }
+            received.push({headers: req.headers, body});
+            res.end('ok');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+// Local SMTP catcher that keeps every message
+function startSmtp() {
+    const messages = [];
+    const server = new SMTPServer({
+        authOptional: true,
+        disabledCommands: ['STARTTLS'],
+        onData(stream, session, callback) {
+            let data = '';
+            stream.on('data', chunk => data += chunk);
+            stream.on('end', () => {
+                messages.push({to: session.envelope.rcptTo.map(r => r.address), data});
+                callback();
+            });
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        port: server.server.address().port,
+        messages,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+function options(overrides) {
+    return Object.assign(notify.config({}), {retries: 2, backoff: 10, webhookSecret: SECRET}, overrides);
+}
+
+describe('notify', () => {
+    let payload;
+
+    before(async () => {
+        await catalog.recordDownload({slug: 'old-plugin', productId: '1', version: '1.0', filename: 'old-plugin-1.0.zip', id: '1'});
+        payload = notify.summarize([
+            {slug: 'old-plugin', productId: '1', name: 'Old Plugin', version: '1.1', status: 'downloaded', fileUrl: 'https://x/old-plugin-1.1.zip', releaseNotes: '- Fixed checkout\n- Faster admin'},
+            {slug: 'new-plugin', productId: '2', name: 'New Plugin', version: '0.1', status: 'downloaded', fileUrl: 'https://x/new-plugin-0.1.zip'},
+            {slug: 'same-plugin', productId: '3', name: 'Same Plugin', version: '2.0', status: 'unchanged'}
+        ], [
+            {slug: 'broken', productId: '4', name: 'Broken', version: '3.0', error: 'Not a ZIP file'}
+        ]);
+    });
+
+    after(() => {
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('splits a run into new, updated and failed plugins', () => {
+        assert.deepStrictEqual(payload.new.map(e => e.slug), ['new-plugin']);
+        assert.deepStrictEqual(payload.updated.map(e => [e.slug, e.previousVersion, e.version]), [['old-plugin', '1.0', '1.1']]);
+        assert.deepStrictEqual(payload.failed.map(e => [e.slug, e.error]), [['broken', 'Not a ZIP file']]);
+    });
+
+    it('reports each plugin once, at its newest version, and only when it went up', async () => {
+        await catalog.recordDownloads([
+            {slug: 'ranged', productId: '5', version: '1.1', filename: 'ranged-1.1.zip', id: '10'},
+            {slug: 'ranged', productId: '5', version: '1.0', filename: 'ranged-1.0.zip', id: '11'}
+        ]);
+        const changes = notify.summarize([
+            {slug: 'ranged', productId: '5', version: '1.2', status: 'downloaded'},
+            {slug: 'ranged', productId: '5', version: '0.9', status: 'downloaded'},
+            {slug: 'fresh', productId: '6', version: '2.1', status: 'downloaded'},
+            {slug: 'fresh', productId: '6', version: '2.0', status: 'downloaded'},
+            {slug: 'old-plugin', productId: '1', version: '0.9', status: 'downloaded'}
+        ], []);
+        assert.deepStrictEqual(changes.new.map(e => [e.slug, e.version]), [['fresh', '2.1']]);
+        assert.deepStrictEqual(changes.updated.map(e => [e.slug, e.previousVersion, e.version]), [['ranged', '1.1', '1.2']]);
+    });
+
+    it('lists release notes under their plugin in the digest', () => {
+        assert.strictEqual(payload.updated[0].releaseNotes, '- Fixed checkout\n- Faster admin');
+        assert.match(notify.digestText(payload), /Old Plugin 1\.0 -> 1\.1 {2}https:\/\/x\/old-plugin-1\.1\.zip\n {6}- Fixed checkout\n {6}- Faster admin\n/);
+    });
+
+    it('posts an HMAC-signed payload and retries failures', async () => {
+        const sink = await startSink(1);
+        try {
+            const [delivered] = await notify.deliver(payload, options({webhooks: [sink.url]}));
+            assert.strictEqual(delivered, true);
+            assert.strictEqual(sink.received.length, 1);
+            const {headers, body} = sink.received[0];
+            assert.strictEqual(headers['x-wp-signature'], notify.sign(body, SECRET));
+            assert.deepStrictEqual(JSON.parse(body).new.map(e => e.slug), ['new-plugin']);
+
+            const logged = notify.deliveries().pop();
+            assert.strictEqual(logged.status, 'delivered');
+            assert.strictEqual(logged.attempts, 2);
+        } finally {
+            await sink.close();
+        }
+    });
+
+    it('logs a webhook that never succeeds', async () => {
+        const sink = await startSink(10);
+        try {
+            const [delivered] = await notify.deliver(payload, options({webhooks: [sink.url]}));
+            assert.strictEqual(delivered, false);
+            const logged = notify.deliveries().pop();
+            assert.strictEqual(logged.status, 'failed');
+            assert.strictEqual(logged.attempts, 3);
+        } finally {
+            await sink.close();
+        }
+    });
+
+    it('emails a digest over SMTP', async () => {
+        const smtp = await startSmtp();
+        try {
+            await notify.deliver(payload, options({
+                smtp: {host: '127.0.0.1', port: smtp.port, secure: false, ignoreTLS: true},
+                emailTo: 'ops@example.com'
+            }));
+            assert.strictEqual(smtp.messages.length, 1);
+            assert.deepStrictEqual(smtp.messages[0].to, ['ops@example.com']);
+            assert.match(smtp.messages[0].data, /Subject: Plugin updates: 1 new, 1 updated, 1 failed/);
+            assert.match(smtp.messages[0].data, /Old Plugin 1\.0 -> 1\.1/);
+        } finally {
+            await smtp.close();
+        }
+    });
+
+    it('sends nothing when a run changed nothing', async () => {
+        const result = await notify.deliver({new: [], updated: [], failed: []}, options({webhooks: ['http://127.0.0.1:1/']}));
+        assert.deepStrictEqual(result, []);
+    });
+});
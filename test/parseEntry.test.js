@@ -0,0 +1,74 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+const titles = require('./fixtures/titles.json');
+const {parseTitle, normalizeVersion, sameVersion, parseProductUrl, slugify} = require('../func/parseEntry');
+const {parseEntry} = require('../func/scraper');
+
+describe('parseTitle', () => {
+    for (const fixture of titles) {
+        it(`parses "${fixture.title}"`, () => {
+            assert.deepStrictEqual(parseTitle(fixture.title), {
+                name: fixture.name,
+                version: fixture.version,
+                semver: fixture.semver,
+                warnings: fixture.warnings
+            });
+        });
+    }
+});
+
+describe('normalizeVersion', () => {
+    it('pads and tags versions as semver', () => {
+        assert.strictEqual(normalizeVersion('1'), '1.0.0');
+        assert.strictEqual(normalizeVersion('v1.02'), '1.2.0');
+        assert.strictEqual(normalizeVersion('5.0-beta2'), '5.0.0-beta.2');
+        assert.strictEqual(normalizeVersion('1.0a'), '1.0.0-alpha');
+    });
+
+    it('gives null when there is no semver form', () => {
+        assert.strictEqual(normalizeVersion('1.2.3.4'), null);
+        assert.strictEqual(normalizeVersion('latest'), null);
+        assert.strictEqual(normalizeVersion(''), null);
+    });
+});
+
+describe('sameVersion', () => {
+    it('ignores trailing zero parts, a leading "v" and case', () => {
+        assert.ok(sameVersion('1.2', '1.2.0'));
+        assert.ok(sameVersion('v2.0.0', '2'));
+        assert.ok(sameVersion('5.0-BETA2', '5.0-beta2'));
+        assert.ok(sameVersion('1.02', '1.2'));
+    });
+
+    it('tells different releases apart', () => {
+        assert.ok(!sameVersion('1.2', '1.2.1'));
+        assert.ok(!sameVersion('1.10', '1.1'));
+        assert.ok(!sameVersion('5.0-beta2', '5.0'));
+        assert.ok(!sameVersion('1.0', ''));
+    });
+});
+
+describe('parseProductUrl', () => {
+    it('reads the slug from the path and product_id from the query', () => {
+        assert.deepStrictEqual(
+            parseProductUrl('https://www.realgpl.com/product/alpha-forms/?product_id=11'),
+            {slug: 'alpha-forms', productId: '11'});
+    });
+
+    it('copes with a missing or broken URL', () => {
+        assert.deepStrictEqual(parseProductUrl(''), {slug: '', productId: ''});
+        assert.deepStrictEqual(parseProductUrl('https://www.realgpl.com/'), {slug: '', productId: ''});
+    });
+});
+
+describe('parseEntry', () => {
+    it('falls back to a slug made from the name', () => {
+        const entry = parseEntry({productName: 'Elementor Pro', productURL: ''});
+        assert.strictEqual(entry.slug, 'elementor-pro');
+        assert.deepStrictEqual(entry.parseWarnings, ['no-version', 'no-slug-in-url']);
+    });
+
+    it('slugifies accented and punctuated names', () => {
+        assert.strictEqual(slugify('Crème Brûlée: Pro!'), 'creme-brulee-pro');
+    });
+});
@@ -0,0 +1,58 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+
+const runPool = require('../func/pool');
+const {createRateLimiter} = require('../func/pool');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runPool', () => {
+    it('keeps at most concurrency workers in flight', async () => {
+        let running = 0;
+        let most = 0;
+        const seen = [];
+        await runPool([1, 2, 3, 4, 5, 6, 7], async (item, index) => {
+            running++;
+            most = Math.max(most, running);
+            await sleep(10);
+            seen[index] = item;
+            running--;
+        }, 3);
+        assert.strictEqual(most, 3);
+        assert.deepStrictEqual(seen, [1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('carries on past a worker that throws', async () => {
+        const done = [];
+        const failures = await runPool(['a', 'b', 'c'], async (item) => {
+            if (item === 'a') {
+                throw new Error('boom');
+            }
+            done.push(item);
+        }, 1);
+        assert.deepStrictEqual(done, ['b', 'c']);
+        assert.strictEqual(failures.length, 1);
+        assert.strictEqual(failures[0].index, 0);
+        assert.strictEqual(failures[0].error.message, 'boom');
+    });
+});
+
+describe('createRateLimiter', () => {
+    it('spaces starts evenly', async () => {
+        const wait = createRateLimiter(20);
+        const started = Date.now();
+        const times = await Promise.all([1, 2, 3].map(async () => {
+            await wait();
+            return Date.now() - started;
+        }));
+        assert.ok(times[0] < 40, `first start after ${times[0]}ms`);
+        assert.ok(times[2] >= 95, `third start after ${times[2]}ms`);
+    });
+
+    it('never waits without a rate', async () => {
+        const wait = createRateLimiter(0);
+        const started = Date.now();
+        await Promise.all([1, 2, 3, 4].map(() => wait()));
+        assert.ok(Date.now() - started < 20);
+    });
+});
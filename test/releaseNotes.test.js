@@ -0,0 +1,50 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert');
+
+const {htmlToText, extractNotes} = require('../func/releaseNotes');
+
+describe('htmlToText', () => {
+    it('keeps block structure, list items and entities', () => {
+        const text = htmlToText('<h4>Version 1.2 &ndash; June 3</h4><ul><li>Fixed &lt;br&gt; tags</li><li>New <b>thing</b></li></ul>');
+        assert.strictEqual(text, 'Version 1.2 – June 3\n- Fixed <br> tags\n- New thing');
+    });
+
+    it('starts at the changelog element and drops scripts', () => {
+        const text = htmlToText('<p>Version 9.9 is great</p><script>var v = "1.0";</script><div id="tab-changelog"><p>= 1.0 =</p></div>');
+        assert.strictEqual(text, '= 1.0 =');
+    });
+});
+
+describe('extractNotes', () => {
+    it('reads readme-style changelogs', () => {
+        const text = '== Changelog ==\n= 2.1.0 =\n* Fix: checkout error\n* New: dark mode\n= 2.0.0 =\n* Rewrite';
+        assert.strictEqual(extractNotes(text, '2.1.0'), '- Fix: checkout error\n- New: dark mode');
+        assert.strictEqual(extractNotes(text, '2.0'), '- Rewrite');
+    });
+
+    it('reads WooCommerce-style dated headings', () => {
+        const text = '2024-06-03 - version 8.9.1\n- Fixed tax rounding\n2024-05-20 - version 8.9.0\n- Added blocks';
+        assert.strictEqual(extractNotes(text, '8.9.1'), '- Fixed tax rounding');
+    });
+
+    it('reads "v1.2 – date" headings and pre-release versions', () => {
+        const text = 'v5.0-beta2 – June 3, 2024\n- Try the new editor\nv4.9 – May 1, 2024\n- Bug fixes';
+        assert.strictEqual(extractNotes(text, '5.0-beta2'), '- Try the new editor');
+    });
+
+    it('does not take list items mentioning versions for headings', () => {
+        const text = 'Version 3.0\n- 2.0 settings are migrated\n- Requires PHP 7.4\nVersion 2.9\n- Old';
+        assert.strictEqual(extractNotes(text, '3.0'), '- 2.0 settings are migrated\n- Requires PHP 7.4');
+    });
+
+    it('gives nothing when the version is not there', () => {
+        assert.strictEqual(extractNotes('= 1.0 =\n* First', '1.1'), '');
+        assert.strictEqual(extractNotes('= 1.0 =\n* First', ''), '');
+    });
+
+    it('cuts long notes', () => {
+        const notes = extractNotes('= 1.0 =\n' + '- change\n'.repeat(100), '1.0', 20);
+        assert.strictEqual(notes.length, 20);
+        assert.ok(notes.endsWith('…'));
+    });
+});
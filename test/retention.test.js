@@ -0,0 +1,68 @@
+const {describe, it, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-retention-test-'));
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.RETENTION_PATH = path.join(tmp, 'retention.json');
+process.env.DOWNLOAD_DIR = path.join(tmp, 'downloads');
+process.env.RETENTION_KEEP_VERSIONS = '3';
+process.env.RETENTION_MAX_AGE_HOURS = '0';
+process.env.RETENTION_MAX_SIZE_MB = '0';
+
+const catalog = require('../func/catalog');
+const retention = require('../func/retention');
+const runLock = require('../func/runLock');
+
+const VERSIONS = ['1.4', '1.3', '1.2', '1.1', '1.0'];
+
+describe('retention', () => {
+    after(() => {
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('keeps the newest versions even when a range run recorded them first', async () => {
+        fs.mkdirSync(process.env.DOWNLOAD_DIR, {recursive: true});
+        for (const version of VERSIONS) {
+            fs.writeFileSync(path.join(process.env.DOWNLOAD_DIR, `foo-${version}.zip`), 'PK');
+        }
+        // One call, newest first, the way a backfill records its rows
+        await catalog.recordDownloads(VERSIONS.map((version, i) => ({
+            slug: 'foo', productId: '1', version, filename: `foo-${version}.zip`, id: String(i)
+        })));
+
+        const {due} = await retention.plan();
+        assert.deepStrictEqual(due.map(file => [file.file, file.reason]).sort(), [
+            ['foo-1.0.zip', 'keep-versions'],
+            ['foo-1.1.zip', 'keep-versions']
+        ]);
+    });
+
+    it('waits out a run holding the lock, then removes and forgets the files', async () => {
+        let release;
+        const running = runLock.runExclusive('job:test', () => new Promise(resolve => {
+            release = resolve;
+        }));
+        assert.strictEqual(await retention.sweep(), null);
+        assert.ok(fs.existsSync(path.join(process.env.DOWNLOAD_DIR, 'foo-1.0.zip')));
+        release();
+        await running;
+
+        const result = await retention.sweep();
+        assert.strictEqual(result.removed, 2);
+        assert.strictEqual(result.forgotten, 2);
+        assert.deepStrictEqual(fs.readdirSync(process.env.DOWNLOAD_DIR).sort(), ['foo-1.2.zip', 'foo-1.3.zip', 'foo-1.4.zip']);
+        const plugin = catalog.getPlugin('foo');
+        assert.strictEqual(plugin.latestVersion, '1.4');
+        assert.deepStrictEqual(plugin.versions.filter(v => v.filename).map(v => v.version), ['1.4', '1.3', '1.2']);
+    });
+
+    it('holds the run lock while it sweeps', async () => {
+        const sweeping = retention.sweep();
+        assert.strictEqual(runLock.currentRun().name, 'retention');
+        await sweeping;
+        assert.strictEqual(runLock.isRunning(), false);
+    });
+});
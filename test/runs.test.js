@@ -0,0 +1,98 @@
+const {describe, it, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-runs-test-'));
+process.env.RUNS_PATH = path.join(tmp, 'runs.json');
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+
+const runs = require('../func/runs');
+const metrics = require('../func/metrics');
+const {createLogger} = require('../func/logger');
+
+after(() => {
+    fs.rmSync(tmp, {recursive: true, force: true});
+});
+
+describe('run history', () => {
+    it('records phases, row counts and bytes of a run', () => {
+        const history = runs.start({trigger: 'refresh', dates: ['June 3, 2024']});
+        assert.strictEqual(runs.get(history.id).status, 'running');
+        history.phase('login');
+        history.phase('scrape');
+        history.scrape({pages: 50, rowsInspected: 500, stoppedEarly: false, truncated: true});
+        history.phase('download');
+        history.found(3);
+        history.count('downloaded', 1200);
+        // Saved as it goes, so a run no job tracks shows its progress
+        assert.deepStrictEqual(runs.get(history.id).rows, {found: 3, downloaded: 1, unchanged: 0, skipped: 0, failed: 0});
+        history.count('skipped');
+        history.count('failed');
+        const record = history.finish();
+
+        const stored = runs.get(history.id);
+        assert.deepStrictEqual(stored, record);
+        assert.strictEqual(stored.status, 'success');
+        assert.strictEqual(stored.trigger, 'refresh');
+        assert.deepStrictEqual(stored.rows, {found: 3, downloaded: 1, unchanged: 0, skipped: 1, failed: 1});
+        assert.strictEqual(stored.bytes, 1200);
+        assert.deepStrictEqual(Object.keys(stored.phases), ['login', 'scrape', 'download']);
+        assert.deepStrictEqual(stored.scrape, {pages: 50, rowsInspected: 500, stoppedEarly: false, truncated: true});
+        assert.ok(stored.phases.download.durationMs >= 0);
+    });
+
+    it('keeps the error of a failed run and lists newest first', () => {
+        const history = runs.start();
+        history.phase('login');
+        history.finish(new Error('Login failed'));
+        const [latest] = runs.list();
+        assert.strictEqual(latest.id, history.id);
+        assert.strictEqual(latest.status, 'failed');
+        assert.strictEqual(latest.error, 'Login failed');
+    });
+
+    it('reports runs left running by an earlier process as interrupted', () => {
+        const data = JSON.parse(fs.readFileSync(process.env.RUNS_PATH, 'utf8'));
+        data.runs.push({id: 'crashed', status: 'running', startedAt: new Date().toISOString(), phases: {}, rows: {}});
+        fs.writeFileSync(process.env.RUNS_PATH, JSON.stringify(data));
+        assert.strictEqual(runs.get('crashed').status, 'interrupted');
+    });
+
+    it('keeps totals across runs', () => {
+        const totals = runs.totals();
+        assert.deepStrictEqual(totals.runs, {success: 1, failed: 1});
+        assert.strictEqual(totals.rows.downloaded, 1);
+        assert.strictEqual(totals.bytes, 1200);
+    });
+});
+
+describe('metrics', () => {
+    it('renders the Prometheus text format', () => {
+        const text = metrics.render();
+        assert.match(text, /# TYPE wp_updates_runs_total counter/);
+        assert.match(text, /^wp_updates_runs_total\{status="success"\} 1$/m);
+        assert.match(text, /^wp_updates_rows_total\{result="skipped"\} 1$/m);
+        assert.match(text, /^wp_updates_downloaded_bytes_total 1200$/m);
+        assert.match(text, /^wp_updates_run_in_progress 0$/m);
+        assert.match(text, /^wp_updates_last_run_timestamp_seconds\{status="failed"\} \d+\.\d{3}$/m);
+        assert.match(text, /^wp_updates_last_success_timestamp_seconds \d+\.\d{3}$/m);
+    });
+});
+
+describe('logger', () => {
+    it('writes JSON lines carrying the fields of its parents', () => {
+        const lines = [];
+        const log = createLogger({}, {write: line => lines.push(JSON.parse(line))}).child({runId: 'abc'});
+        log.info('Download Successful', {slug: 'alpha-forms'});
+        log.error('Failed to download', {err: new Error('404')});
+        log.debug('Not written at the default level');
+        assert.strictEqual(lines.length, 2);
+        assert.strictEqual(lines[0].runId, 'abc');
+        assert.strictEqual(lines[0].level, 'info');
+        assert.strictEqual(lines[0].msg, 'Download Successful');
+        assert.strictEqual(lines[0].slug, 'alpha-forms');
+        assert.strictEqual(lines[1].err.message, '404');
+    });
+});
@@ -0,0 +1,305 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Keep everything the scraper writes out of the working tree
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-scraper-test-'));
+process.env.DOWNLOAD_DIR = path.join(tmp, 'downloads');
+process.env.DOWNLOAD_URL = 'https://files.example.com/downloads';
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.ERRORS_PATH = path.join(tmp, 'errors.json');
+process.env.WATCHLIST_PATH = path.join(tmp, 'watchlist.json');
+process.env.RUNS_PATH = path.join(tmp, 'runs.json');
+process.env.SESSION_PATH = path.join(tmp, 'session.json');
+process.env.DOWNLOAD_RETRIES = '0';
+
+const puppeteer = require('puppeteer');
+const scraper = require('../func/scraper');
+const catalog = require('../func/catalog');
+const watchlist = require('../func/watchlist');
+const runs = require('../func/runs');
+const {USERNAME, PASSWORD, SESSION, startFakeSite} = require('./fakeSite');
+
+// Browser tests need a Chrome that puppeteer can start (PUPPETEER_EXECUTABLE_PATH)
+function browserAvailable() {
+    try {
+        return fs.existsSync(puppeteer.executablePath());
+    } catch (e) {
+        return false;
+    }
+}
+const noBrowser = browserAvailable() ? false : 'no Chrome available for puppeteer, set PUPPETEER_EXECUTABLE_PATH';
+// A skipped suite is easy to miss in the summary, so say so; CI must run it
+if (noBrowser && !process.env.CI) {
+    console.warn(`Skipping the browser tests: ${noBrowser}`);
+}
+
+let site;
+let options;
+
+before(async () => {
+    site = await startFakeSite();
+    options = scraper.configure({
+        baseUrl: site.url,
+        username: USERNAME,
+        password: PASSWORD,
+        launchOptions: {headless: true, args: ['--no-sandbox']},
+        dbPath: path.join(tmp, 'files.json'),
+        dataCsv: path.join(tmp, 'data.csv'),
+        errorCsv: path.join(tmp, 'error.csv')
+    });
+});
+
+after(async () => {
+    await site.close();
+    fs.rmSync(tmp, {recursive: true, force: true});
+});
+
+function row(id) {
+    return {
+        id,
+        productName: '',
+        date: '',
+        downloadLink: `${site.url}/download/${id}/`,
+        productURL: ''
+    };
+}
+
+describe('parseEntry', () => {
+    it('splits the title and product URL into version, name, slug and productId', () => {
+        const entry = scraper.parseEntry({
+            id: '101',
+            productName: 'Alpha Forms v1.2.3',
+            productURL: 'https://www.realgpl.com/product/alpha-forms/?product_id=11'
+        });
+        assert.strictEqual(entry.version, '1.2.3');
+        assert.strictEqual(entry.name, 'Alpha Forms');
+        assert.strictEqual(entry.slug, 'alpha-forms');
+        assert.strictEqual(entry.productId, '11');
+    });
+});
+
+describe('downloadEntry', () => {
+    const cookies = `wordpress_logged_in=${SESSION}`;
+    const entry = (id, slug, version) => Object.assign(row(id), {slug, version});
+
+    it('stores a valid plugin archive and builds its URL', async () => {
+        const result = await scraper.downloadEntry(entry('101', 'alpha-forms', '1.2.3'), cookies, options);
+        assert.strictEqual(result.status, 'downloaded');
+        assert.strictEqual(result.filename, 'alpha-forms-1.2.3.zip');
+        assert.strictEqual(result.pluginVersion, '1.2.3');
+        assert.ok(fs.existsSync(path.join(process.env.DOWNLOAD_DIR, 'alpha-forms-1.2.3.zip')));
+        assert.strictEqual(result.fileUrl, 'https://files.example.com/downloads/alpha-forms-1.2.3.zip');
+    });
+
+    it('rejects an HTML page served instead of the ZIP', async () => {
+        await assert.rejects(
+            scraper.downloadEntry(entry('103', 'gamma-cache', '3.1'), cookies, options),
+            /Content-Type text\/html/
+        );
+        assert.ok(!fs.existsSync(path.join(process.env.DOWNLOAD_DIR, 'gamma-cache-3.1.zip')));
+    });
+
+    it('rejects the login page served without a session', async () => {
+        await assert.rejects(
+            scraper.downloadEntry(entry('102', 'beta-seo', '2.0'), '', options),
+            {code: 'LOGIN_REQUIRED', message: /session has expired/}
+        );
+    });
+
+    it('rejects a missing file', async () => {
+        await assert.rejects(
+            scraper.downloadEntry(entry('105', 'epsilon-gone', '5.0'), cookies, options),
+            /404/
+        );
+    });
+
+    it('rejects an archive whose plugin header disagrees with the changelog', async () => {
+        await assert.rejects(
+            scraper.downloadEntry(entry('104', 'delta-shop', '4.1'), cookies, options),
+            /does not match changelog version 4.1/
+        );
+    });
+});
+
+describe('fake site', () => {
+    it('only hands out files to a logged-in session', async () => {
+        const login = await axios.post(`${site.url}/my-account/`,
+            new URLSearchParams({username: USERNAME, password: PASSWORD}).toString(),
+            {maxRedirects: 0, validateStatus: () => true});
+        assert.strictEqual(login.status, 302);
+        assert.match(login.headers['set-cookie'][0], /wordpress_logged_in=/);
+    });
+});
+
+describe('scraper with a browser', {skip: !process.env.CI && noBrowser}, () => {
+    let session;
+
+    before(async () => {
+        if (noBrowser) {
+            throw new Error(`CI=${process.env.CI} but ${noBrowser}`);
+        }
+        session = await scraper.launch(options);
+    });
+
+    after(async () => {
+        if (session) {
+            await session.browser.close();
+        }
+    });
+
+    it('refuses bad credentials', async () => {
+        const {browser, page} = await scraper.launch(options);
+        try {
+            await assert.rejects(
+                scraper.login(page, Object.assign({}, options, {password: 'wrong'})),
+                /Login failed: Error: The username or password you entered is incorrect/
+            );
+        } finally {
+            await browser.close();
+        }
+    });
+
+    it('logs in through the consent banner', async () => {
+        await scraper.login(session.page, options);
+        const cookies = await scraper.cookieHeader(session.page);
+        assert.match(cookies, new RegExp(`wordpress_logged_in=${SESSION}`));
+    });
+
+    it('scrapes the rows for the requested dates', async () => {
+        const {rows} = await scraper.scrapeChangelog(session.page, {dates: ['June 3, 2024']}, options);
+        assert.deepStrictEqual(rows.map(r => r.id), ['101', '102', '103']);
+        assert.strictEqual(rows[0].productName, 'Alpha Forms v1.2.3');
+        assert.strictEqual(rows[0].downloadLink, `${site.url}/download/101/`);
+    });
+
+    it('skips rows without a download link', async () => {
+        const {rows} = await scraper.scrapeChangelog(session.page, {dates: ['June 2, 2024']}, options);
+        assert.deepStrictEqual(rows.map(r => r.id), ['104', '105']);
+    });
+
+    it('stops paging once rows are older than the requested dates', async () => {
+        const paged = Object.assign({}, options, {resultsPerPage: 2});
+        const {rows, stats} = await scraper.scrapeChangelog(session.page, {dates: ['June 3, 2024']}, paged);
+        assert.deepStrictEqual(rows.map(r => r.id), ['101', '102', '103']);
+        assert.deepStrictEqual(stats, {pages: 2, rowsInspected: 4, stoppedEarly: true, truncated: false});
+    });
+
+    it('follows pagination across pages for older dates', async () => {
+        const paged = Object.assign({}, options, {resultsPerPage: 2});
+        const {rows, stats} = await scraper.scrapeChangelog(session.page, {dates: ['June 2, 2024']}, paged);
+        assert.deepStrictEqual(rows.map(r => r.id), ['104', '105']);
+        assert.deepStrictEqual(stats, {pages: 4, rowsInspected: 7, stoppedEarly: false, truncated: false});
+    });
+
+    it('flags a walk that hits maxPages with pages left', async () => {
+        const warnings = [];
+        const log = Object.assign({}, options.log, {warn: (msg, fields) => warnings.push({msg, fields})});
+        const paged = Object.assign({}, options, {resultsPerPage: 2, maxPages: 2, log});
+        const {rows, stats} = await scraper.scrapeChangelog(session.page, {dates: ['June 1, 2024']}, paged);
+        assert.deepStrictEqual(rows, []);
+        assert.deepStrictEqual(stats, {pages: 2, rowsInspected: 4, stoppedEarly: false, truncated: true});
+        assert.deepStrictEqual(warnings.map(w => w.msg), ['Changelog walk hit maxPages with pages left']);
+    });
+
+    it('runs the whole flow and reports failures', async () => {
+        const list = await scraper.run(Object.assign({}, options, {
+            dates: [new Date('June 2, 2024'), new Date('June 3, 2024')]
+        }));
+        assert.ok(Array.isArray(list), list && list.message);
+        const byId = Object.fromEntries(list.map(entry => [entry.id, entry]));
+        assert.ok(byId['104'] && byId['104'].status === 'downloaded');
+        assert.strictEqual(byId['104'].releaseNotes, '- Fixed delta-shop settings <not> saving\n- Tested up to WordPress 6.5');
+        assert.strictEqual(catalog.getPlugin('delta-shop').versions[0].releaseNotes, byId['104'].releaseNotes);
+        assert.ok(!byId['103'] && !byId['105']);
+
+        const errors = JSON.parse(fs.readFileSync(process.env.ERRORS_PATH, 'utf8')).rows;
+        assert.deepStrictEqual(errors.map(entry => entry.id).sort(), ['103', '105']);
+        const csv = fs.readFileSync(options.dataCsv, 'utf8');
+        assert.match(csv.split('\n')[0], /"releaseNotes"$/);
+        assert.ok(csv.includes('"- Fixed delta-shop settings <not> saving\n- Tested up to WordPress 6.5"'));
+
+        const [run] = runs.list();
+        assert.strictEqual(run.status, 'success');
+        assert.deepStrictEqual(run.dates, ['June 2, 2024', 'June 3, 2024']);
+        assert.strictEqual(run.rows.found, 5);
+        assert.strictEqual(run.rows.failed, 2);
+        assert.strictEqual(run.rows.downloaded + run.rows.unchanged, 3);
+        assert.deepStrictEqual(Object.keys(run.phases), ['login', 'scrape', 'download', 'export']);
+        assert.deepStrictEqual(runs.get(run.id).scrape, {pages: 1, rowsInspected: 7, stoppedEarly: false, truncated: false});
+    });
+
+    it('leaves files.json alone when a run fails', async () => {
+        const files = fs.readFileSync(options.dbPath, 'utf8');
+        const result = await scraper.run(Object.assign({}, options, {
+            dates: [new Date('June 1, 2024')],
+            baseUrl: 'http://127.0.0.1:1'
+        }));
+        assert.ok(result instanceof Error);
+        assert.strictEqual(fs.readFileSync(options.dbPath, 'utf8'), files);
+        assert.strictEqual(runs.list()[0].status, 'failed');
+    });
+
+    it('reuses the stored session instead of logging in again', async () => {
+        const logins = site.state.logins;
+        const list = await scraper.run(Object.assign({}, options, {dates: [new Date('June 3, 2024')]}));
+        assert.ok(Array.isArray(list), list && list.message);
+        assert.strictEqual(site.state.logins, logins);
+    });
+
+    it('logs in once more when downloads get the login page', async () => {
+        // Make 101 and 102 download again, then expire the login mid-run
+        for (const file of ['alpha-forms-1.2.3.zip', 'beta-seo-2.0.zip']) {
+            fs.rmSync(path.join(process.env.DOWNLOAD_DIR, file), {force: true});
+        }
+        const logins = site.state.logins;
+        const list = await scraper.run(Object.assign({}, options, {
+            dates: [new Date('June 3, 2024')],
+            onProgress: (event) => {
+                if (event.phase === 'download' && event.entries) {
+                    site.state.session = null;
+                }
+            }
+        }));
+        assert.ok(Array.isArray(list), list && list.message);
+        assert.deepStrictEqual(list.map(entry => [entry.id, entry.status]), [['101', 'downloaded'], ['102', 'downloaded']]);
+        assert.strictEqual(site.state.logins, logins + 1);
+    });
+
+    it('marks entries failed when the storage lookup throws', async (t) => {
+        t.mock.method(catalog, 'findDownloaded', async () => {
+            throw new Error('HeadObject failed: 403');
+        });
+        const list = await scraper.run(Object.assign({}, options, {dates: [new Date('June 3, 2024')]}));
+        assert.ok(Array.isArray(list), list && list.message);
+        assert.deepStrictEqual(list, []);
+        const errors = JSON.parse(fs.readFileSync(process.env.ERRORS_PATH, 'utf8')).rows;
+        assert.deepStrictEqual(errors.map(entry => [entry.id, entry.error]).sort(), [
+            ['101', 'HeadObject failed: 403'],
+            ['102', 'HeadObject failed: 403'],
+            ['103', 'HeadObject failed: 403']
+        ]);
+        assert.strictEqual(runs.list()[0].rows.failed, 3);
+    });
+
+    it('records entries off the watchlist without downloading them', async () => {
+        const rule = watchlist.addRule({type: 'exclude', field: 'slug', pattern: 'eta-*'});
+        try {
+            const pages = site.state.productPages;
+            const list = await scraper.run(Object.assign({}, options, {dates: [new Date('June 1, 2024')]}));
+            assert.ok(Array.isArray(list), list && list.message);
+            assert.strictEqual(list.length, 1);
+            assert.strictEqual(list[0].status, 'skipped');
+            assert.strictEqual(list[0].releaseNotes, '');
+            assert.strictEqual(site.state.productPages, pages);
+            assert.strictEqual(list[0].filename, '');
+            assert.ok(!fs.existsSync(path.join(process.env.DOWNLOAD_DIR, 'eta-old-7.0.zip')));
+            assert.strictEqual(catalog.getPlugin('eta-old').latestVersion, '7.0');
+        } finally {
+            watchlist.removeRule(rule.id);
+        }
+    });
+});
@@ -0,0 +1,51 @@
+const {describe, it, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-session-test-'));
+process.env.SESSION_PATH = path.join(tmp, 'session.json');
+process.env.SESSION_MAX_AGE_HOURS = '12';
+
+const session = require('../func/session');
+
+const HOUR = 3600 * 1000;
+const site = 'https://shop.example.com';
+
+describe('session', () => {
+    after(() => {
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('hands back stored cookies for the same site', () => {
+        session.save(site, [{name: 'wordpress_logged_in', value: 'abc', expires: -1}]);
+        assert.deepStrictEqual(session.load(site).map(cookie => cookie.value), ['abc']);
+        assert.strictEqual(session.load('https://other.example.com'), null);
+    });
+
+    it('drops cookies past their expiry', () => {
+        const now = Date.now();
+        session.save(site, [
+            {name: 'gone', value: '1', expires: now / 1000 - 60},
+            {name: 'kept', value: '2', expires: now / 1000 + 60}
+        ]);
+        assert.deepStrictEqual(session.load(site, now).map(cookie => cookie.name), ['kept']);
+        assert.strictEqual(session.load(site, now + 2 * 60 * 1000), null);
+    });
+
+    it('gives up on sessions older than the maximum age', () => {
+        session.save(site, [{name: 'wordpress_logged_in', value: 'abc', expires: -1}]);
+        assert.ok(session.load(site, Date.now() + 11 * HOUR));
+        assert.strictEqual(session.load(site, Date.now() + 13 * HOUR), null);
+    });
+
+    it('forgets the session when cleared', () => {
+        session.clear();
+        assert.strictEqual(session.load(site), null);
+    });
+
+    it('builds the Cookie header', () => {
+        assert.strictEqual(session.header([{name: 'a', value: '1'}, {name: 'b', value: '2'}]), 'a=1; b=2');
+    });
+});
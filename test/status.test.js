@@ -0,0 +1,112 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-status-test-'));
+process.env.FILES_PATH = path.join(tmp, 'files.json');
+process.env.RUNS_PATH = path.join(tmp, 'runs.json');
+process.env.ERRORS_PATH = path.join(tmp, 'errors.json');
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.DELIVERIES_PATH = path.join(tmp, 'deliveries.json');
+process.env.AUTH_DISABLED = 'true';
+
+const runs = require('../func/runs');
+const errorSet = require('../func/errorSet');
+const {status, etag} = require('../func/status');
+const app = require('../app');
+
+function get(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get(url, {headers}, (res) => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({status: res.statusCode, headers: res.headers, body}));
+        }).on('error', reject);
+    });
+}
+
+describe('status', () => {
+    let server;
+    let base;
+
+    before(async () => {
+        fs.writeFileSync(process.env.FILES_PATH, JSON.stringify([
+            {id: '101', slug: 'alpha-forms', version: '1.2.3', date: 'June 3, 2024', status: 'downloaded'},
+            {id: '102', slug: 'beta-seo', version: '2.0', date: 'June 3, 2024', status: 'unchanged'}
+        ]));
+        errorSet.save([{id: '103', slug: 'gamma-cache', error: 'Not a ZIP file'}]);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('counts the files of the scraper store without run history', () => {
+        const result = status();
+        assert.strictEqual(result.lastSuccess, null);
+        assert.deepStrictEqual(result.dates, ['June 3, 2024']);
+        assert.deepStrictEqual(result.counts, {found: 3, downloaded: 1, unchanged: 1, skipped: 0, failed: 1});
+        assert.deepStrictEqual(result.files.map(file => file.id), ['101', '102']);
+    });
+
+    it('reports the last successful scrape from the run history', () => {
+        const scrape = runs.start({trigger: 'refresh', dates: ['June 3, 2024']});
+        scrape.found(3);
+        scrape.count('downloaded', 100);
+        scrape.count('unchanged');
+        scrape.count('failed');
+        scrape.finish();
+        const retry = runs.start({trigger: 'retry'});
+        retry.finish(new Error('Login failed'));
+
+        const result = status();
+        assert.strictEqual(result.lastRun.id, retry.id);
+        assert.strictEqual(result.lastRun.status, 'failed');
+        assert.strictEqual(result.lastSuccess.id, scrape.id);
+        assert.strictEqual(result.lastSuccessAt, scrape.record.finishedAt);
+        assert.deepStrictEqual(result.dates, ['June 3, 2024']);
+        assert.deepStrictEqual(result.counts, {found: 3, downloaded: 1, unchanged: 1, skipped: 0, failed: 1});
+        assert.strictEqual(result.failed, 1);
+    });
+
+    it('keeps the files of the last success after a failed scrape', () => {
+        const before = status();
+        const failed = runs.start({trigger: 'schedule', dates: ['June 4, 2024']});
+        failed.finish(new Error('Login failed'));
+
+        const result = status();
+        assert.strictEqual(result.lastRun.id, failed.id);
+        assert.strictEqual(result.lastSuccess.id, before.lastSuccess.id);
+        assert.deepStrictEqual(result.dates, ['June 3, 2024']);
+        assert.deepStrictEqual(result.files.map(file => file.id), ['101', '102']);
+    });
+
+    it('gives the same ETag for the same status only', () => {
+        const result = status();
+        assert.strictEqual(etag(result), etag(status()));
+        assert.notStrictEqual(etag(result), etag(Object.assign({}, result, {failed: 2})));
+    });
+
+    it('answers If-None-Match with 304 until the status changes', async () => {
+        const first = await get(`${base}/lastUpdate`);
+        assert.strictEqual(first.status, 200);
+        assert.ok(first.headers.etag);
+        assert.deepStrictEqual(JSON.parse(first.body).files.map(file => file.id), ['101', '102']);
+
+        const unchanged = await get(`${base}/status`, {'If-None-Match': first.headers.etag});
+        assert.strictEqual(unchanged.status, 304);
+        assert.strictEqual(unchanged.body, '');
+
+        errorSet.save([]);
+        const changed = await get(`${base}/status`, {'If-None-Match': first.headers.etag});
+        assert.strictEqual(changed.status, 200);
+        assert.notStrictEqual(changed.headers.etag, first.headers.etag);
+    });
+});
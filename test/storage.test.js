@@ -0,0 +1,143 @@
+const {describe, it, before, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-storage-test-'));
+
+const createLocalStorage = require('../func/storage/local');
+const createS3Storage = require('../func/storage/s3');
+
+// Minimal path-style S3 stand-in, enough of the API for the driver:
+// PUT, HEAD, GET and DELETE of objects and ListObjectsV2
+function startS3Stub() {
+    const objects = new Map();
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [, bucket, ...rest] = url.pathname.split('/');
+        const key = decodeURIComponent(rest.join('/'));
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            if (req.method === 'PUT') {
+                const size = parseInt(req.headers['x-amz-decoded-content-length'] || Buffer.concat(chunks).length, 10);
+                objects.set(`${bucket}/${key}`, {size, modifiedAt: new Date()});
+                res.setHeader('ETag', '"stub"');
+                return res.end();
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(`${bucket}/${key}`);
+                res.statusCode = 204;
+                return res.end();
+            }
+            if (req.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+                const prefix = url.searchParams.get('prefix') || '';
+                const contents = [...objects.entries()]
+                    .filter(([name]) => name.startsWith(`${bucket}/${prefix}`))
+                    .map(([name, object]) => `<Contents><Key>${name.slice(bucket.length + 1)}</Key>` +
+                        `<LastModified>${object.modifiedAt.toISOString()}</LastModified><Size>${object.size}</Size>` +
+                        '<ETag>"stub"</ETag></Contents>');
+                res.setHeader('Content-Type', 'application/xml');
+                return res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name>` +
+                    `<Prefix>${prefix}</Prefix><KeyCount>${contents.length}</KeyCount><MaxKeys>1000</MaxKeys>` +
+                    `<IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+            }
+            const object = objects.get(`${bucket}/${key}`);
+            res.statusCode = object ? 200 : 404;
+            if (object) {
+                res.setHeader('Content-Length', object.size);
+            }
+            return res.end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+function archive(name, content = 'PK fake archive') {
+    const file = path.join(tmp, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+after(() => {
+    fs.rmSync(tmp, {recursive: true, force: true});
+});
+
+describe('local storage', () => {
+    const dir = path.join(tmp, 'downloads');
+
+    it('puts, lists, checks and removes archives, leaving out partial downloads', async () => {
+        const storage = createLocalStorage({dir});
+        await storage.put(archive('alpha-1.0.zip'), 'alpha-1.0.zip');
+        fs.writeFileSync(path.join(dir, 'gamma-3.0.zip.part'), 'PK half');
+        assert.strictEqual(await storage.exists('alpha-1.0.zip'), true);
+        assert.deepStrictEqual((await storage.list()).map(file => [file.key, file.size]), [['alpha-1.0.zip', 15]]);
+        await storage.remove('alpha-1.0.zip');
+        assert.strictEqual(await storage.exists('alpha-1.0.zip'), false);
+        assert.deepStrictEqual(await storage.list(), []);
+    });
+
+    it('builds links under the download URL', async () => {
+        assert.strictEqual(await createLocalStorage({dir}).url('a b.zip'), '/downloads/a%20b.zip');
+        assert.strictEqual(await createLocalStorage({dir, baseUrl: 'https://files.example.com/dl'}).url('a.zip'), 'https://files.example.com/dl/a.zip');
+    });
+});
+
+describe('S3 storage', () => {
+    let stub;
+    let storage;
+
+    before(async () => {
+        stub = await startS3Stub();
+        storage = createS3Storage({
+            bucket: 'plugins',
+            prefix: 'wp/',
+            endpoint: stub.url,
+            forcePathStyle: true,
+            accessKeyId: 'minio',
+            secretAccessKey: 'minio-secret',
+            workDir: path.join(tmp, 'work')
+        });
+    });
+
+    after(async () => {
+        await stub.close();
+    });
+
+    it('puts, lists, checks and removes archives under the prefix', async () => {
+        const local = archive('beta-2.0.zip');
+        await storage.put(local, 'beta-2.0.zip');
+        assert.ok(!fs.existsSync(local));
+        assert.ok(stub.objects.has('plugins/wp/beta-2.0.zip'));
+
+        assert.strictEqual(await storage.exists('beta-2.0.zip'), true);
+        assert.strictEqual(await storage.exists('missing.zip'), false);
+        const [file] = await storage.list();
+        assert.strictEqual(file.key, 'beta-2.0.zip');
+        assert.strictEqual(file.size, 15);
+        assert.ok(file.modifiedAt instanceof Date);
+
+        await storage.remove('beta-2.0.zip');
+        assert.strictEqual(await storage.exists('beta-2.0.zip'), false);
+        assert.deepStrictEqual(await storage.list(), []);
+    });
+
+    it('presigns links, or builds them from a public URL', async () => {
+        const signed = new URL(await storage.url('beta-2.0.zip'));
+        assert.strictEqual(`${signed.origin}${signed.pathname}`, `${stub.url}/plugins/wp/beta-2.0.zip`);
+        assert.ok(signed.searchParams.get('X-Amz-Signature'));
+        assert.strictEqual(signed.searchParams.get('X-Amz-Expires'), '3600');
+
+        const https = createS3Storage({bucket: 'plugins', prefix: 'wp/', endpoint: 'https://s3.example.com', forcePathStyle: true, accessKeyId: 'a', secretAccessKey: 'b'});
+        assert.match(await https.url('beta-2.0.zip'), /^https:\/\/s3\.example\.com\/plugins\/wp\/beta-2\.0\.zip\?X-Amz-/);
+
+        const open = createS3Storage({bucket: 'plugins', prefix: 'wp/', publicUrl: 'https://cdn.example.com/files'});
+        assert.strictEqual(await open.url('beta 2.0.zip'), 'https://cdn.example.com/files/wp/beta%202.0.zip');
+    });
+});
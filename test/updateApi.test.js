@@ -0,0 +1,58 @@
+const {describe, it, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-update-test-'));
+process.env.CATALOG_PATH = path.join(tmp, 'catalog.json');
+process.env.DOWNLOAD_DIR = path.join(tmp, 'downloads');
+process.env.DOWNLOAD_URL = 'https://files.example.com/downloads/';
+
+const catalog = require('../func/catalog');
+const {checkUpdates, pluginInfo} = require('../func/updateApi');
+
+describe('update API', () => {
+    after(() => {
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('offers the newest stored version of an outdated plugin', async () => {
+        await catalog.recordDownload({slug: 'alpha-forms', productId: '11', name: 'Alpha Forms', version: '1.10.0', date: 'June 3, 2024', filename: 'alpha-forms-1.10.0.zip', pluginFile: 'alpha-forms/alpha.php', id: '2', releaseNotes: '- Fixed <form> styles'});
+        await catalog.recordDownload({slug: 'alpha-forms', productId: '11', name: 'Alpha Forms', version: '1.9.0', date: 'June 1, 2024', filename: 'alpha-forms-1.9.0.zip', id: '1'});
+
+        const result = await checkUpdates({
+            'alpha-forms/alpha.php': {Version: '1.9.0'},
+            'unknown/unknown.php': {Version: '1.0'}
+        });
+        const update = result.plugins['alpha-forms/alpha.php'];
+        assert.strictEqual(update.new_version, '1.10.0');
+        assert.strictEqual(update.package, 'https://files.example.com/downloads/alpha-forms-1.10.0.zip');
+        assert.deepStrictEqual(Object.keys(result.no_update), []);
+    });
+
+    it('lists up-to-date plugins under no_update, matching by folder name', async () => {
+        const result = await checkUpdates({'alpha-forms/other.php': {Version: '1.10.0'}});
+        assert.deepStrictEqual(Object.keys(result.plugins), []);
+        assert.strictEqual(result.no_update['alpha-forms/other.php'].new_version, '1.10.0');
+    });
+
+    it('describes a plugin with its changelog', async () => {
+        const info = await pluginInfo('alpha-forms');
+        assert.strictEqual(info.version, '1.10.0');
+        assert.match(info.sections.changelog, /<h4>1\.10\.0 – June 3, 2024<\/h4>\n<ul>\n<li>Fixed &lt;form&gt; styles<\/li>\n<\/ul>\n<h4>1\.9\.0 – June 1, 2024<\/h4>/);
+        assert.deepStrictEqual(Object.keys(info.versions).sort(), ['1.10.0', '1.9.0']);
+        assert.strictEqual(await pluginInfo('missing'), null);
+    });
+
+    it('stops offering versions whose file retention removed', async () => {
+        assert.strictEqual(catalog.markRemoved(['alpha-forms-1.10.0.zip']), 1);
+        const info = await pluginInfo('alpha-forms');
+        assert.strictEqual(info.version, '1.9.0');
+        assert.strictEqual(info.download_link, 'https://files.example.com/downloads/alpha-forms-1.9.0.zip');
+        assert.deepStrictEqual(Object.keys(info.versions), ['1.9.0']);
+
+        const result = await checkUpdates({'alpha-forms/alpha.php': {Version: '1.9.0'}});
+        assert.deepStrictEqual(Object.keys(result.plugins), []);
+    });
+});
@@ -0,0 +1,70 @@
+const {describe, it, beforeEach} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-watchlist-test-'));
+process.env.WATCHLIST_PATH = path.join(tmp, 'watchlist.json');
+
+const watchlist = require('../func/watchlist');
+
+const alpha = {slug: 'alpha-forms', productId: '11', name: 'Alpha Forms'};
+const beta = {slug: 'beta-seo', productId: '12', name: 'Beta SEO Pro'};
+const gamma = {slug: 'gamma-cache', productId: '13', name: 'Gamma Cache'};
+
+describe('watchlist', () => {
+    beforeEach(() => {
+        for (const rule of watchlist.rules()) {
+            watchlist.removeRule(rule.id);
+        }
+    });
+
+    it('watches everything while there are no rules', () => {
+        assert.ok(watchlist.isWatched(alpha));
+        assert.ok(watchlist.isWatched(beta));
+    });
+
+    it('only watches entries matching an include rule', () => {
+        watchlist.addRule({type: 'include', field: 'slug', pattern: 'alpha-forms'});
+        watchlist.addRule({type: 'include', field: 'productId', pattern: '13'});
+        assert.ok(watchlist.isWatched(alpha));
+        assert.ok(!watchlist.isWatched(beta));
+        assert.ok(watchlist.isWatched(gamma));
+    });
+
+    it('lets exclude rules win over include rules', () => {
+        watchlist.addRule({type: 'include', field: 'slug', pattern: '*'});
+        watchlist.addRule({type: 'exclude', field: 'name', pattern: '/\\bseo\\b/'});
+        assert.ok(watchlist.isWatched(alpha));
+        assert.ok(!watchlist.isWatched(beta));
+    });
+
+    it('matches name globs without regard to case', () => {
+        watchlist.addRule({type: 'include', field: 'name', pattern: 'gamma*'});
+        assert.ok(watchlist.isWatched(gamma));
+        assert.ok(!watchlist.isWatched(alpha));
+    });
+
+    it('keeps rules in the JSON file', () => {
+        const rule = watchlist.addRule({type: 'exclude', field: 'slug', pattern: 'beta-seo'});
+        const saved = JSON.parse(fs.readFileSync(process.env.WATCHLIST_PATH, 'utf8'));
+        assert.deepStrictEqual(saved.rules, [rule]);
+    });
+
+    it('updates and removes rules by id', () => {
+        const rule = watchlist.addRule({type: 'include', field: 'slug', pattern: 'alpha-forms'});
+        assert.strictEqual(watchlist.updateRule(rule.id, {pattern: 'beta-seo'}).pattern, 'beta-seo');
+        assert.ok(watchlist.isWatched(beta));
+        assert.strictEqual(watchlist.updateRule('missing', {pattern: 'x'}), null);
+        assert.ok(watchlist.removeRule(rule.id));
+        assert.ok(!watchlist.removeRule(rule.id));
+    });
+
+    it('rejects invalid rules', () => {
+        assert.throws(() => watchlist.addRule({type: 'maybe', field: 'slug', pattern: 'x'}), /type must be one of/);
+        assert.throws(() => watchlist.addRule({type: 'include', field: 'version', pattern: 'x'}), /field must be one of/);
+        assert.throws(() => watchlist.addRule({type: 'include', field: 'slug', pattern: ' '}), /pattern is required/);
+        assert.throws(() => watchlist.addRule({type: 'include', field: 'name', pattern: '/[/'}), /Invalid pattern/);
+    });
+});